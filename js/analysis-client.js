@@ -0,0 +1,100 @@
+// Analysis Client - job-based front end for the analysis worker
+// Each job carries an id and its own copy of the audio as a transferred Float32Array; the
+// worker answers with progress, result and error messages tagged with that id, so replies
+// for a cancelled job (an older recording) are simply dropped
+class AnalysisClient {
+    constructor(url) {
+        this.url = url;
+        this.jobs = new Map(); // id -> { handlers, resolve, reject }
+        this.nextId = 1;
+        this.worker = this.createWorker();
+    }
+
+    createWorker() {
+        const worker = new Worker(this.url);
+        worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        worker.addEventListener('error', (e) => this.handleCrash(e));
+        return worker;
+    }
+
+    // Run analysis tasks ([{ type, options }]) one after another on one copy of the audio.
+    // handlers.onResult(type, result) gets each task's result as it's ready and
+    // handlers.onProgress(fraction) the progress across all of them. Resolves when every task
+    // is done; rejects with the failing task's error, or an AbortError when cancelled.
+    // Stereo audio is analysed as its mono downmix.
+    run(audioBuffer, tasks, handlers = {}) {
+        return this.runSamples(MusicAnalysis.mixToMono(audioBuffer), audioBuffer.sampleRate, tasks, handlers);
+    }
+
+    // Same as run() for samples the caller already copied (they're transferred, so unusable
+    // afterwards) - or null for tasks that work from features merged by AnalysisPool
+    runSamples(audioData, sampleRate, tasks, handlers = {}) {
+        const id = this.nextId++;
+        
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { handlers, resolve, reject });
+            this.worker.postMessage({
+                id,
+                type: 'run',
+                tasks,
+                audioData,
+                sampleRate
+            }, audioData ? [audioData.buffer] : []);
+        });
+    }
+
+    // Drop every pending job. A running analysis can't be interrupted inside the worker, so
+    // the worker is replaced rather than left busy with stale audio.
+    cancelAll() {
+        if (this.jobs.size === 0) return;
+        
+        this.worker.terminate();
+        this.worker = this.createWorker();
+        
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+    }
+
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return; // Cancelled or already finished
+        
+        switch (message.type) {
+            case 'progress':
+                if (job.handlers.onProgress) job.handlers.onProgress(message.progress);
+                break;
+            
+            case 'result':
+                if (job.handlers.onResult) job.handlers.onResult(message.task, message.result);
+                break;
+            
+            case 'done':
+                this.jobs.delete(message.id);
+                job.resolve();
+                break;
+            
+            case 'error': {
+                this.jobs.delete(message.id);
+                const error = new Error(message.error);
+                error.task = message.task;
+                job.reject(error);
+                break;
+            }
+        }
+    }
+
+    // The worker script itself failed (e.g. it couldn't load): fail everything that waits on it
+    handleCrash(event) {
+        event.preventDefault();
+        console.error('Analysis worker error:', event.message);
+        
+        const error = new Error(event.message || 'Analysis worker failed');
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+    }
+}
+
+// Export for use in main app
+window.AnalysisClient = AnalysisClient;
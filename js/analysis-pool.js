@@ -0,0 +1,173 @@
+// Analysis Pool - spreads analysis of long recordings over several workers
+// The file is cut into time chunks, one per worker. Each chunk is sent with the extra samples
+// its last analysis frames reach into (the overlap), so every frame of the whole-file analysis
+// is computed exactly once by some chunk. The workers return raw features (onset flux,
+// chroma), which are merged and handed to one final job that tracks beats, picks the key and
+// labels chords over the whole file - the results match a single-worker analysis.
+class AnalysisPool {
+    constructor(url, size = AnalysisPool.defaultSize()) {
+        this.clients = Array.from({ length: size }, () => new AnalysisClient(url));
+    }
+
+    // One worker per core, up to MAX_WORKERS
+    static defaultSize() {
+        const cores = navigator.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(AnalysisPool.MAX_WORKERS, cores));
+    }
+
+    // Same contract as AnalysisClient.run(). Short recordings, single-worker pools and tasks
+    // without a chunked form run as one job on the least busy worker.
+    run(audioBuffer, tasks, handlers = {}) {
+        const audioData = MusicAnalysis.mixToMono(audioBuffer);
+        const chunks = this.planChunks(audioData.length, audioBuffer.sampleRate);
+        const chunkable = tasks.every(task => AnalysisPool.FEATURES[task.type]);
+        
+        if (chunks.length < 2 || !chunkable) {
+            return this.leastBusy().runSamples(audioData, audioBuffer.sampleRate, tasks, handlers);
+        }
+        return this.runChunked(audioData, audioBuffer.sampleRate, chunks, tasks, handlers);
+    }
+
+    async runChunked(audioData, sampleRate, chunks, tasks, handlers) {
+        const features = tasks.map(task => AnalysisPool.FEATURES[task.type]);
+        const onProgress = handlers.onProgress || (() => {});
+        
+        // The chunk jobs take 90% of the progress, weighted by their length
+        const progress = new Array(chunks.length).fill(0);
+        const reportChunks = () => {
+            const done = chunks.reduce((sum, chunk, i) => sum + progress[i] * (chunk.end - chunk.start), 0);
+            onProgress(0.9 * done / audioData.length);
+        };
+        
+        try {
+            const parts = await Promise.all(chunks.map((chunk, i) => {
+                const job = this.chunkJob(audioData, chunk, features);
+                const results = {};
+                return this.clients[i % this.clients.length].runSamples(job.samples, sampleRate, job.tasks, {
+                    onResult: (type, result) => { results[type] = result; },
+                    onProgress: (fraction) => {
+                        progress[i] = fraction;
+                        reportChunks();
+                    }
+                }).then(() => features.map(feature => ({ result: results[feature.task], offset: job.offsets[feature.task] })));
+            }));
+            
+            // The final job gets the merged features instead of audio
+            const mergedTasks = tasks.map((task, t) => ({
+                type: task.type,
+                options: {
+                    ...task.options,
+                    [features[t].option]: this.mergeFeature(features[t], parts.map(part => part[t]), audioData.length, sampleRate)
+                }
+            }));
+            await this.leastBusy().runSamples(null, sampleRate, mergedTasks, {
+                onResult: handlers.onResult,
+                onProgress: (fraction) => onProgress(0.9 + 0.1 * fraction)
+            });
+        } catch (error) {
+            // Report a failed chunk under the task it was computing for
+            const t = features.findIndex(feature => feature.task === error.task);
+            if (t >= 0) error.task = tasks[t].type;
+            throw error;
+        }
+    }
+
+    // Chunk boundaries in samples: at least MIN_CHUNK_SECONDS long, one chunk per worker, on
+    // multiples of CHUNK_ALIGN so they fall on a frame of every feature's hop
+    planChunks(length, sampleRate) {
+        const count = Math.min(this.clients.length, Math.floor(length / (AnalysisPool.MIN_CHUNK_SECONDS * sampleRate)));
+        if (count < 2) return [{ start: 0, end: length }];
+        
+        const align = AnalysisPool.CHUNK_ALIGN;
+        const bounds = [0];
+        for (let i = 1; i < count; i++) {
+            bounds.push(Math.round(i * length / count / align) * align);
+        }
+        bounds.push(length);
+        return bounds.slice(0, -1).map((start, i) => ({ start, end: bounds[i + 1] }));
+    }
+
+    // The samples one chunk needs and its feature tasks. A chunk owns the frames of each
+    // feature that start inside it, so its slice runs on to where its last frame ends (and a
+    // hop back for the onset flux, which compares each frame to the one before).
+    // offsets: sample of the whole file each feature's range starts at
+    chunkJob(audioData, chunk, features) {
+        const ranges = features.map(feature => {
+            const frames = Math.max(0, Math.floor((audioData.length - feature.frame) / feature.hop) + 1);
+            const first = Math.min(frames, chunk.start / feature.hop);
+            const last = Math.min(frames, Math.ceil(chunk.end / feature.hop));
+            const leadIn = feature.leadIn && first > 0;
+            return {
+                start: first * feature.hop - (leadIn ? feature.hop : 0),
+                end: (last - 1) * feature.hop + feature.frame,
+                leadIn
+            };
+        });
+        
+        const start = Math.min(...ranges.map(range => range.start));
+        const end = Math.max(...ranges.map(range => range.end));
+        const offsets = {};
+        const tasks = features.map((feature, t) => {
+            offsets[feature.task] = ranges[t].start + (ranges[t].leadIn ? feature.hop : 0);
+            return {
+                type: feature.task,
+                options: { range: [ranges[t].start - start, ranges[t].end - start], leadIn: ranges[t].leadIn }
+            };
+        });
+        return { samples: audioData.slice(start, end), tasks, offsets };
+    }
+
+    // Chunk results ([{ result, offset }], in file order) combined into the whole file's feature
+    mergeFeature(feature, parts, length, sampleRate) {
+        switch (feature.task) {
+            case 'onsetFlux': {
+                const concat = (key) => {
+                    const merged = new Float32Array(parts.reduce((sum, part) => sum + part.result[key].length, 0));
+                    let position = 0;
+                    parts.forEach(part => {
+                        merged.set(part.result[key], position);
+                        position += part.result[key].length;
+                    });
+                    return merged;
+                };
+                return { onset: concat('onset'), lowOnset: concat('lowOnset') };
+            }
+            
+            case 'keyChroma':
+                return parts.reduce((sum, part) => sum.map((value, pc) => value + part.result[pc]), new Array(12).fill(0));
+            
+            case 'chordChroma': {
+                // Frame times are relative to each chunk's own audio; shifted in samples so they
+                // come out exactly as a single pass computes them
+                const frames = [];
+                parts.forEach(part => part.result.forEach(frame => {
+                    frames.push({ ...frame, time: (Math.round(frame.time * sampleRate) + part.offset) / sampleRate });
+                }));
+                return { frames, duration: length / sampleRate };
+            }
+        }
+    }
+
+    leastBusy() {
+        return this.clients.reduce((best, client) => client.jobs.size < best.jobs.size ? client : best);
+    }
+
+    cancelAll() {
+        this.clients.forEach(client => client.cancelAll());
+    }
+}
+
+AnalysisPool.MAX_WORKERS = 8;
+AnalysisPool.MIN_CHUNK_SECONDS = 10;
+AnalysisPool.CHUNK_ALIGN = 4096; // Multiple of every hop below
+
+// Analysis tasks that can be chunked: the worker task computing their feature per chunk,
+// its frame and hop in samples, and the task option the merged feature is passed in
+AnalysisPool.FEATURES = {
+    beats: { task: 'onsetFlux', frame: 1024, hop: 512, leadIn: true, option: 'flux' },
+    key: { task: 'keyChroma', frame: 4096, hop: 2048, leadIn: false, option: 'chromagram' },
+    chords: { task: 'chordChroma', frame: 16384, hop: 4096, leadIn: false, option: 'chroma' }
+};
+
+// Export for use in main app
+window.AnalysisPool = AnalysisPool;
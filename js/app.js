@@ -3,14 +3,16 @@ class AudioLooperApp {
     constructor() {
         // Core modules
         this.recorder = new AudioRecorder();
+        this.recorder.inputSettings = { ...AudioRecorder.defaultInputSettings(), ...this.loadSetting('input', {}) };
         this.player = new AudioPlayer();
         this.analyzer = new AudioAnalyzer();
+        this.projectStore = new ProjectStore();
+        this.exporter = new AudioExporter(this.player);
         
-        // Web Worker for non-blocking analysis
-        this.analysisWorker = null;
+        // Web Workers for non-blocking analysis (long files are split across them)
+        this.analysis = null;
         try {
-            this.analysisWorker = new Worker('js/analyzer-worker.js');
-            this.setupWorkerListeners();
+            this.analysis = new AnalysisPool('js/analyzer-worker.js');
         } catch (error) {
             console.warn('Web Worker not available, using fallback:', error);
         }
@@ -20,31 +22,66 @@ class AudioLooperApp {
         this.wavesurfer = null;
         this.isRecording = false;
         this.detectedChords = []; // Store chord timeline
+        this.detectedTempo = null; // Last detected BPM (saved with projects)
+        this.tapTimes = []; // performance.now() of recent tempo taps
+        this.beatGrid = null; // Tracked beats: { bpm, beats, downbeats, confidence }, times in seconds
+        this.gridOffset = 0; // Seconds from loop start to the downbeat the metronome locks to
+        this.tempoRange = this.clampTempoRange(this.loadSetting('tempoRange', { min: 40, max: 240 })); // BPM range the tempo search covers
+        this.beatRetrackPending = false; // A tempo candidate or range change is being re-tracked
+        this.latestAnalysis = {}; // Newest analysis job per task type (see runAnalysis)
+        this.analysisProgress = new Map(); // Running analysis job -> progress 0..1 (one shared bar)
+        // Bar/beat grid over the waveform: source 'tempo' or 'beats' (tracked), snap resolution
+        // 'bar', 'beat', 2 or 4 (subdivisions per beat)
+        this.gridSettings = { source: 'tempo', snap: true, resolution: 'beat', ...this.loadSetting('grid', {}) };
+        this.detectedKey = null; // Key in use, e.g. "A Minor" - detected or picked from the candidates
+        this.keyEstimate = null; // { key, confidence, candidates } from the key detector
         this.currentChordIndex = -1;
         this.countInActive = false;
+        this.countInFrame = null; // rAF handle of the count-in display
         this.audioContext = null;
-        this.metronomeInterval = null;
-        this.metronomeNextClickTime = 0;
-        this.metronomeIsPlaying = false;
+        this.metronome = null; // Created with the audio context
+        this.metronomeSettings = { ...Metronome.defaultSettings(), ...this.loadSetting('metronome', {}) };
+        this.tempo = { bpm: 120, beatsPerBar: 4, beatUnit: 4 }; // Project tempo and time signature
+        this.loopBars = 2; // Loop length in bars for the next initial recording
         this.layers = []; // Array to store individual audio layers
         this.layerVolumes = []; // Volume for each layer (0.0 - 1.0)
         this.layerMuted = []; // Mute state for each layer
+        this.layerOffsets = []; // Manual nudge for each layer in milliseconds
+        this.layerPans = []; // Pan for each layer (-1.0 left to 1.0 right)
+        this.layerSoloed = []; // Solo state for each layer
+        this.layerEffects = []; // Effect chain settings for each layer (see LayerEffects)
+        this.openEffectsPanels = new Set(); // Layers whose FX panel is expanded
+        this.masterSettings = MasterBus.defaultSettings(); // Master fader, limiter and loudness target
+        this.masterNormalizationGain = 1.0; // Linear gain applied to reach the loudness target
         this.undoStack = []; // Stack for undo functionality
         this.redoStack = []; // Stack for redo functionality (currently not exposed in UI)
+        this.waveformRedrawTimer = null; // Debounces waveform redraws while faders move
+        this.mixGeneration = 0; // Bumped on clear and load so re-mixes still in flight are dropped
+        this.isExporting = false;
+        this.inputMeterFrame = null; // rAF handle of the input level meter
+        this.overdubLeadTime = 0.15; // Seconds between scheduling an overdub and its first sample
+        this.latencyCompensation = this.loadSetting('latency', 0); // Measured round-trip latency in seconds
+        this.currentProject = null; // { id, name, createdAt } of the open project, null if unsaved
+        this.projectSaveQueue = Promise.resolve(); // Serializes saves so autosave never creates duplicates
         
         // UI Elements
         this.elements = {
             recordBtn: document.getElementById('recordBtn'),
             playPauseBtn: document.getElementById('playPauseBtn'),
+            stopBtn: document.getElementById('stopBtn'),
             overdubBtn: document.getElementById('overdubBtn'),
             detectChordsBtn: document.getElementById('detectChordsBtn'),
             loadBtn: document.getElementById('loadBtn'),
             clearBtn: document.getElementById('clearBtn'),
             fileInput: document.getElementById('fileInput'),
             statusText: document.getElementById('statusText'),
+            analysisProgress: document.getElementById('analysisProgress'),
+            analysisProgressFill: document.getElementById('analysisProgressFill'),
             recordTimer: document.getElementById('recordTimer'),
             tempoValue: document.getElementById('tempoValue'),
             keyValue: document.getElementById('keyValue'),
+            keyConfidence: document.getElementById('keyConfidence'),
+            keyCandidates: document.getElementById('keyCandidates'),
             currentTime: document.getElementById('currentTime'),
             totalTime: document.getElementById('totalTime'),
             progressBar: document.getElementById('progressBar'),
@@ -52,12 +89,32 @@ class AudioLooperApp {
             chordsDisplay: document.getElementById('chordsDisplay'),
             chordsContainer: document.querySelector('.chords-container'),
             chordLabelsLayer: document.getElementById('chordLabelsLayer'),
+            beatGridLayer: document.getElementById('beatGridLayer'),
+            beatRuler: document.getElementById('beatRuler'),
+            gridSource: document.getElementById('gridSource'),
+            snapToggle: document.getElementById('snapToggle'),
+            snapResolution: document.getElementById('snapResolution'),
+            beatGridValue: document.getElementById('beatGridValue'),
+            tempoCandidates: document.getElementById('tempoCandidates'),
+            tempoRangeMin: document.getElementById('tempoRangeMin'),
+            tempoRangeMax: document.getElementById('tempoRangeMax'),
             countInToggle: document.getElementById('countInToggle'),
+            countInBars: document.getElementById('countInBars'),
+            countInDisplay: document.getElementById('countInDisplay'),
+            countInNumber: document.getElementById('countInNumber'),
+            countInBeats: document.getElementById('countInBeats'),
             metronomeToggle: document.getElementById('metronomeToggle'),
-            metronomeBpm: document.getElementById('metronomeBpm'),
+            tempoBpm: document.getElementById('tempoBpm'),
+            tapTempoBtn: document.getElementById('tapTempoBtn'),
+            useDetectedTempoBtn: document.getElementById('useDetectedTempoBtn'),
+            timeSignature: document.getElementById('timeSignature'),
             metronomeVolume: document.getElementById('metronomeVolume'),
             metronomeVolumeValue: document.getElementById('metronomeVolumeValue'),
-            loopLength: document.getElementById('loopLength'),
+            metronomeSubdivision: document.getElementById('metronomeSubdivision'),
+            metronomeKit: document.getElementById('metronomeKit'),
+            loopBars: document.getElementById('loopBars'),
+            freeLengthToggle: document.getElementById('freeLengthToggle'),
+            quantizeBarsToggle: document.getElementById('quantizeBarsToggle'),
             durationInfo: document.getElementById('durationInfo'),
             layersSection: document.getElementById('layersSection'),
             layersList: document.getElementById('layersList'),
@@ -65,56 +122,81 @@ class AudioLooperApp {
             scaleNotesSection: document.getElementById('scaleNotesSection'),
             scaleNotes: document.getElementById('scaleNotes'),
             recordingIndicator: document.getElementById('recordingIndicator'),
-            loopPositionMarker: document.getElementById('loopPositionMarker')
+            loopPositionMarker: document.getElementById('loopPositionMarker'),
+            inputDevice: document.getElementById('inputDevice'),
+            inputEchoToggle: document.getElementById('inputEchoToggle'),
+            inputNoiseToggle: document.getElementById('inputNoiseToggle'),
+            inputAgcToggle: document.getElementById('inputAgcToggle'),
+            inputGain: document.getElementById('inputGain'),
+            inputGainValue: document.getElementById('inputGainValue'),
+            inputMeter: document.getElementById('inputMeter'),
+            inputMeterRms: document.getElementById('inputMeterRms'),
+            inputMeterPeak: document.getElementById('inputMeterPeak'),
+            inputLevelValue: document.getElementById('inputLevelValue'),
+            inputClip: document.getElementById('inputClip'),
+            inputTestBtn: document.getElementById('inputTestBtn'),
+            calibrateLatencyBtn: document.getElementById('calibrateLatencyBtn'),
+            latencyValue: document.getElementById('latencyValue'),
+            masterSection: document.getElementById('masterSection'),
+            masterGain: document.getElementById('masterGain'),
+            masterGainValue: document.getElementById('masterGainValue'),
+            masterMeter: document.getElementById('masterMeter'),
+            masterMeterFill: document.getElementById('masterMeterFill'),
+            masterPeakValue: document.getElementById('masterPeakValue'),
+            masterClip: document.getElementById('masterClip'),
+            masterLimiterToggle: document.getElementById('masterLimiterToggle'),
+            masterNormalizeToggle: document.getElementById('masterNormalizeToggle'),
+            masterTargetLufs: document.getElementById('masterTargetLufs'),
+            masterLoudness: document.getElementById('masterLoudness'),
+            exportSection: document.getElementById('exportSection'),
+            exportTarget: document.getElementById('exportTarget'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportSampleRate: document.getElementById('exportSampleRate'),
+            exportClick: document.getElementById('exportClick'),
+            exportBtn: document.getElementById('exportBtn'),
+            projectName: document.getElementById('projectName'),
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
+            exportBundleBtn: document.getElementById('exportBundleBtn'),
+            importBundleBtn: document.getElementById('importBundleBtn'),
+            projectsList: document.getElementById('projectsList')
         };
         
         this.initWaveSurfer();
         this.attachEventListeners();
+        this.updateLatencyDisplay();
+        this.updateLoopLengthDisplay();
+        this.elements.freeLengthToggle.checked = this.loadSetting('freeLength', false);
+        this.elements.quantizeBarsToggle.checked = this.loadSetting('quantizeBars', true);
+        this.elements.countInBars.value = this.loadSetting('countInBars', 1);
+        this.elements.exportClick.checked = this.loadSetting('exportClick', false);
+        this.elements.tempoRangeMin.value = this.tempoRange.min;
+        this.elements.gridSource.value = this.gridSettings.source;
+        this.elements.snapToggle.checked = this.gridSettings.snap;
+        this.elements.snapResolution.value = this.gridSettings.resolution;
+        this.elements.tempoRangeMax.value = this.tempoRange.max;
+        this.updateMetronomeControls();
+        this.updateInputControls();
+        this.refreshInputDevices();
+        this.populateExportOptions();
+        this.refreshProjectList();
     }
 
-    setupWorkerListeners() {
-        this.analysisWorker.addEventListener('message', (e) => {
-            const { type, result, error } = e.data;
-            
-            if (error) {
-                console.error('Worker error:', error);
-                return;
-            }
-            
-            switch(type) {
-                case 'tempo':
-                    this.elements.tempoValue.textContent = `${result} BPM`;
-                    console.log('Tempo detected:', result);
-                    break;
-                    
-                case 'key':
-                    this.elements.keyValue.textContent = result;
-                    console.log('Key detected:', result);
-                    this.displayScaleNotes(result);
-                    this.updateStatus('✅ Analysis complete!', 'green');
-                    break;
-                    
-                case 'chords':
-                    console.log('Received chords from worker:', result);
-                    this.detectedChords = result; // Store chords for real-time display
-                    this.renderChordLabels(result); // Render floating chord labels
-                    
-                    // Render guitar diagrams
-                    if (typeof renderGuitarDiagrams === 'function') {
-                        renderGuitarDiagrams(result);
-                    }
-                    
-                    let chordsText = '';
-                    result.forEach(({ time, chord }) => {
-                        chordsText += `${time}: ${chord}\n`;
-                    });
-                    this.elements.chordsDisplay.textContent = chordsText || 'No chords detected';
-                    this.elements.chordsContainer.style.display = 'block';
-                    this.updateStatus('✅ Chord detection complete!', 'green');
-                    this.elements.detectChordsBtn.disabled = false;
-                    break;
-            }
-        });
+    loadSetting(key, fallback) {
+        try {
+            const stored = localStorage.getItem(`loopcraft.${key}`);
+            return stored !== null ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            console.warn(`Could not read setting "${key}":`, error);
+            return fallback;
+        }
+    }
+
+    saveSetting(key, value) {
+        try {
+            localStorage.setItem(`loopcraft.${key}`, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save setting "${key}":`, error);
+        }
     }
 
     initWaveSurfer() {
@@ -137,22 +219,9 @@ class AudioLooperApp {
             this.elements.totalTime.textContent = this.formatTime(duration);
         });
 
-        // Update time during playback
-        this.wavesurfer.on('audioprocess', (time) => {
-            this.elements.currentTime.textContent = this.formatTime(time);
-            const duration = this.wavesurfer.getDuration();
-            const progress = (time / duration) * 100;
-            this.elements.progressBar.style.width = `${progress}%`;
-            
-            // Update loop position marker
-            this.updateLoopPositionMarker(progress);
-        });
-
-        // Handle playback end
-        this.wavesurfer.on('finish', () => {
-            this.updateStatus('Ready to record!', 'blue');
-            this.elements.progressBar.style.width = '0%';
-            this.elements.currentTime.textContent = '0:00';
+        // WaveSurfer only draws - clicking the waveform seeks the loop engine
+        this.wavesurfer.on('interaction', (newTime) => {
+            this.player.seek(this.snapTime(newTime));
         });
     }
 
@@ -163,6 +232,9 @@ class AudioLooperApp {
         // Play/Pause button
         this.elements.playPauseBtn.addEventListener('click', () => this.handlePlayPause());
         
+        // Stop button - stops playback and rewinds to the loop start
+        this.elements.stopBtn.addEventListener('click', () => this.stopPlayback());
+        
         // Overdub button
         this.elements.overdubBtn.addEventListener('click', () => this.handleOverdub());
         
@@ -183,12 +255,96 @@ class AudioLooperApp {
         // Clear button
         this.elements.clearBtn.addEventListener('click', () => this.handleClear());
         
+        // Export panel
+        this.elements.exportBtn.addEventListener('click', () => this.handleExport());
+        this.elements.exportFormat.addEventListener('change', (e) => this.saveSetting('exportFormat', e.target.value));
+        this.elements.exportSampleRate.addEventListener('change', (e) => {
+            this.saveSetting('exportSampleRate', parseInt(e.target.value));
+        });
+        this.elements.exportClick.addEventListener('change', (e) => this.saveSetting('exportClick', e.target.checked));
+        
+        // Project browser
+        this.elements.saveProjectBtn.addEventListener('click', () => this.handleProjectSave());
+        this.elements.projectsList.addEventListener('click', (e) => this.handleProjectAction(e));
+        this.elements.exportBundleBtn.addEventListener('click', () => this.handleBundleExport());
+        
+        // Bundles come in through the regular file picker (see handleFileLoad)
+        this.elements.importBundleBtn.addEventListener('click', () => {
+            this.elements.fileInput.click();
+        });
+        
+        // Input settings - device and DSP changes reopen the mic
+        this.elements.inputDevice.addEventListener('change', (e) => {
+            this.applyInputSettings({ deviceId: e.target.value });
+        });
+        this.elements.inputEchoToggle.addEventListener('change', (e) => {
+            this.applyInputSettings({ echoCancellation: e.target.checked });
+        });
+        this.elements.inputNoiseToggle.addEventListener('change', (e) => {
+            this.applyInputSettings({ noiseSuppression: e.target.checked });
+        });
+        this.elements.inputAgcToggle.addEventListener('change', (e) => {
+            this.applyInputSettings({ autoGainControl: e.target.checked });
+        });
+        this.elements.inputGain.addEventListener('input', (e) => {
+            this.applyInputSettings({ gain: parseFloat(e.target.value) / 100 });
+        });
+        this.elements.inputTestBtn.addEventListener('click', () => this.handleInputTest());
+        
+        // Click the meter to reset the clip indicator
+        this.elements.inputMeter.addEventListener('click', () => {
+            this.elements.inputClip.classList.remove('clipped');
+        });
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshInputDevices());
+        }
+        
+        // Latency calibration button
+        this.elements.calibrateLatencyBtn.addEventListener('click', () => this.handleCalibrateLatency());
+        
+        // Master bus controls
+        this.elements.masterGain.addEventListener('input', (e) => {
+            this.masterSettings.gain = parseFloat(e.target.value) / 100;
+            this.elements.masterGainValue.textContent = `${e.target.value}%`;
+            this.applyMixerState();
+            this.scheduleWaveformRedraw();
+        });
+        
+        this.elements.masterLimiterToggle.addEventListener('change', (e) => {
+            this.masterSettings.limiter = e.target.checked;
+            this.applyMixerState();
+            this.scheduleWaveformRedraw();
+        });
+        
+        this.elements.masterNormalizeToggle.addEventListener('change', (e) => {
+            this.masterSettings.normalize = e.target.checked;
+            this.scheduleWaveformRedraw(0);
+        });
+        
+        this.elements.masterTargetLufs.addEventListener('change', (e) => {
+            this.masterSettings.targetLufs = parseFloat(e.target.value);
+            this.scheduleWaveformRedraw(0);
+        });
+        
+        // Click the meter to reset the clip indicator
+        this.elements.masterMeter.addEventListener('click', () => {
+            this.elements.masterClip.classList.remove('clipped');
+        });
+        
         // Progress slider - seek through audio
         this.elements.progressSlider.addEventListener('input', (e) => this.handleSeek(e));
         
-        // Metronome volume control
+        // Metronome volume, subdivision and sound
         this.elements.metronomeVolume.addEventListener('input', (e) => {
             this.elements.metronomeVolumeValue.textContent = `${e.target.value}%`;
+            this.setMetronomeSettings({ volume: parseInt(e.target.value) / 100 });
+        });
+        this.elements.metronomeSubdivision.addEventListener('change', (e) => {
+            this.setMetronomeSettings({ subdivision: parseInt(e.target.value) });
+        });
+        this.elements.metronomeKit.addEventListener('change', (e) => {
+            this.setMetronomeSettings({ kit: e.target.value });
         });
         
         // Metronome toggle
@@ -200,19 +356,83 @@ class AudioLooperApp {
             }
         });
         
-        // Loop length input
-        this.elements.loopLength.addEventListener('input', (e) => {
+        // Project tempo and time signature
+        this.elements.tempoBpm.addEventListener('change', (e) => {
+            if (this.isRecording) {
+                this.updateStatus('⚠️ Cannot change tempo while recording', 'orange');
+                e.target.value = this.tempo.bpm;
+                return;
+            }
+            this.setTempo({ bpm: parseFloat(e.target.value) });
+        });
+        
+        this.elements.tapTempoBtn.addEventListener('click', () => this.handleTapTempo());
+        this.elements.useDetectedTempoBtn.addEventListener('click', () => this.useDetectedTempo());
+        
+        // Tempo search range and half/double-time candidates
+        this.elements.tempoRangeMin.addEventListener('change', () => this.setTempoRange());
+        this.elements.tempoRangeMax.addEventListener('change', () => this.setTempoRange());
+        // Grid source, snapping and the ruler (click to seek)
+        this.elements.gridSource.addEventListener('change', (e) => this.setGridSettings({ source: e.target.value }));
+        this.elements.snapToggle.addEventListener('change', (e) => this.setGridSettings({ snap: e.target.checked }));
+        this.elements.snapResolution.addEventListener('change', (e) => {
+            const value = e.target.value;
+            this.setGridSettings({ resolution: isNaN(value) ? value : parseInt(value) });
+        });
+        this.elements.beatRuler.addEventListener('click', (e) => {
+            const duration = this.wavesurfer.getDuration();
+            if (!this.loopAudioBuffer || !duration) return;
+            
+            const rect = this.elements.beatRuler.getBoundingClientRect();
+            this.player.seek(this.snapTime((e.clientX - rect.left) / rect.width * duration));
+        });
+        
+        this.elements.keyCandidates.addEventListener('click', (e) => {
+            const button = e.target.closest('.key-candidate');
+            if (button) {
+                this.selectKey(button.dataset.key);
+                this.autosaveProject();
+            }
+        });
+        
+        this.elements.tempoCandidates.addEventListener('click', (e) => {
+            const button = e.target.closest('.tempo-candidate');
+            if (button) {
+                this.selectTempoCandidate(parseFloat(button.dataset.bpm));
+            }
+        });
+        
+        this.elements.timeSignature.addEventListener('change', (e) => {
+            const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+            this.setTempo({ beatsPerBar, beatUnit });
+            
+            // Downbeats (and the pulse that is tracked) depend on the meter
+            if (this.loopAudioBuffer && !this.isRecording) {
+                this.beatRetrackPending = true;
+                this.requestBeatTracking(this.loopAudioBuffer);
+            }
+        });
+        
+        // Loop length input (bars)
+        this.elements.loopBars.addEventListener('change', (e) => {
             // Prevent changing loop length during recording
             if (this.isRecording) {
                 this.updateStatus('⚠️ Cannot change loop length while recording', 'orange');
-                e.target.value = this.currentRecordingLength || 5;
+                e.target.value = this.loopBars;
                 return;
             }
-            this.updateLoopLengthDisplay(e.target.value);
+            this.setLoopBars(parseInt(e.target.value));
         });
         
+        // Free-length first recording
+        this.elements.freeLengthToggle.addEventListener('change', (e) => this.saveSetting('freeLength', e.target.checked));
+        this.elements.quantizeBarsToggle.addEventListener('change', (e) => this.saveSetting('quantizeBars', e.target.checked));
+        
+        // Count-in length
+        this.elements.countInBars.addEventListener('change', (e) => this.saveSetting('countInBars', parseInt(e.target.value)));
+        
         // Loop length preset buttons
-        document.querySelectorAll('.preset-btn').forEach(btn => {
+        document.querySelectorAll('.loop-presets .preset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 // Prevent changing loop length during recording
                 if (this.isRecording) {
@@ -220,56 +440,60 @@ class AudioLooperApp {
                     return;
                 }
                 
-                const seconds = parseInt(e.target.dataset.seconds);
-                this.elements.loopLength.value = seconds;
-                this.updateLoopLengthDisplay(seconds);
-                
-                // Update active state
-                document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
+                this.setLoopBars(parseInt(e.target.dataset.bars));
             });
         });
         
-        // Listen to WaveSurfer play/pause events to sync button state
-        if (this.wavesurfer) {
-            this.wavesurfer.on('play', () => this.updatePlayPauseButton(true));
-            this.wavesurfer.on('pause', () => this.updatePlayPauseButton(false));
-            this.wavesurfer.on('finish', () => this.updatePlayPauseButton(false));
-            
-            // Update slider and chords as audio plays
-            this.wavesurfer.on('audioprocess', () => {
-                this.updateProgressSlider();
-                this.updateCurrentChord();
-            });
-            this.wavesurfer.on('seeking', () => {
-                this.updateProgressSlider();
-                this.updateCurrentChord();
-            });
-        }
     }
     
     handleSeek(e) {
-        if (!this.wavesurfer || !this.loopAudioBuffer) return;
+        if (!this.loopAudioBuffer) return;
         
         const seekPercent = parseFloat(e.target.value) / 100;
-        this.wavesurfer.seekTo(seekPercent);
+        this.player.seek(this.snapTime(seekPercent * this.player.getDuration()));
+    }
+    
+    // Called by the loop engine on every animation frame - the engine's clock drives the UI
+    handlePlaybackProgress(currentTime) {
+        if (this.wavesurfer) {
+            this.wavesurfer.setTime(currentTime);
+        }
+        
+        this.updateProgressSlider();
+        this.updateCurrentChord();
+        this.updateMasterMeter();
+    }
+    
+    updateMasterMeter() {
+        if (!this.player.mixer) return;
+        
+        const peakDb = this.player.mixer.master.readPeak();
+        
+        // Meter spans -60 dBFS to 0 dBFS
+        const width = isFinite(peakDb) ? Math.max(0, Math.min(100, (peakDb + 60) / 60 * 100)) : 0;
+        this.elements.masterMeterFill.style.width = `${width}%`;
+        this.elements.masterPeakValue.textContent = isFinite(peakDb) ? `${peakDb.toFixed(1)} dB` : '-∞ dB';
+        
+        // Latch the clip light until the user clicks the meter
+        if (peakDb >= -0.01) {
+            this.elements.masterClip.classList.add('clipped');
+        }
     }
     
     updateProgressSlider() {
-        if (!this.wavesurfer) return;
+        const currentTime = this.player.getCurrentTime() || 0;
+        const totalTime = this.player.getDuration() || 0;
+        const progress = totalTime > 0 ? (currentTime / totalTime) * 100 : 0;
         
-        const progress = (this.wavesurfer.getCurrentTime() / this.wavesurfer.getDuration()) * 100;
-        this.elements.progressSlider.value = progress || 0;
+        this.elements.progressSlider.value = progress;
         
         // Also update the progress bar
-        this.elements.progressBar.style.width = `${progress || 0}%`;
+        this.elements.progressBar.style.width = `${progress}%`;
         
         // Update loop position marker
         this.updateLoopPositionMarker(progress);
         
         // Update time display
-        const currentTime = this.wavesurfer.getCurrentTime() || 0;
-        const totalTime = this.wavesurfer.getDuration() || 0;
         this.elements.currentTime.textContent = this.formatTime(currentTime);
         this.elements.totalTime.textContent = this.formatTime(totalTime);
     }
@@ -280,32 +504,230 @@ class AudioLooperApp {
         }
     }
 
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+                sampleRate: 44100
+            });
+        }
+        
+        // Recorder and player share one clock so overdubs can be scheduled against playback
+        this.recorder.audioContext = this.audioContext;
+        this.player.audioContext = this.audioContext;
+        
+        // The metronome follows loop position 0 while the loop plays
+        if (!this.metronome) {
+            this.metronome = new Metronome(
+                this.audioContext,
+                () => this.tempo,
+                () => (this.player.isPlaying && this.player.duration > 0
+                    ? { start: this.player.startTime + this.gridOffset, length: this.player.duration }
+                    : null)
+            );
+            this.metronome.settings = this.metronomeSettings;
+        }
+        
+        return this.audioContext;
+    }
+
+    async handleCalibrateLatency() {
+        if (this.isRecording) return;
+        
+        this.getAudioContext();
+        this.elements.calibrateLatencyBtn.disabled = true;
+        this.updateStatus('🎯 Calibrating... keep the mic near your speakers', 'purple');
+        
+        try {
+            const latency = await this.recorder.measureLatency();
+            this.latencyCompensation = latency;
+            this.saveSetting('latency', latency);
+            this.updateLatencyDisplay();
+            this.updateStatus(`✅ Latency calibrated: ${(latency * 1000).toFixed(1)} ms`, 'green');
+        } catch (error) {
+            console.error('Latency calibration failed:', error);
+            this.updateStatus(`❌ Calibration failed: ${error.message}`, 'red');
+        }
+        
+        this.elements.calibrateLatencyBtn.disabled = false;
+    }
+    
+    populateExportOptions() {
+        const savedFormat = this.loadSetting('exportFormat', 'wav16');
+        const savedRate = this.loadSetting('exportSampleRate', 44100);
+        
+        this.elements.exportFormat.innerHTML = AudioExporter.getFormats()
+            .map(format => `<option value="${format.id}" ${format.id === savedFormat ? 'selected' : ''}>${format.label}</option>`)
+            .join('');
+        
+        this.elements.exportSampleRate.innerHTML = AudioExporter.SAMPLE_RATES
+            .map(rate => `<option value="${rate}" ${rate === savedRate ? 'selected' : ''}>${(rate / 1000).toFixed(1)} kHz</option>`)
+            .join('');
+    }
+
+    updateInputControls() {
+        const settings = this.recorder.inputSettings;
+        const gainPercent = Math.round(settings.gain * 100);
+        
+        this.elements.inputEchoToggle.checked = settings.echoCancellation;
+        this.elements.inputNoiseToggle.checked = settings.noiseSuppression;
+        this.elements.inputAgcToggle.checked = settings.autoGainControl;
+        this.elements.inputGain.value = gainPercent;
+        this.elements.inputGainValue.textContent = `${gainPercent}%`;
+        
+        if ([...this.elements.inputDevice.options].some(option => option.value === settings.deviceId)) {
+            this.elements.inputDevice.value = settings.deviceId;
+        }
+    }
+
+    // Device labels are only exposed once the user has granted mic access
+    async refreshInputDevices() {
+        let devices = [];
+        try {
+            devices = await this.recorder.listInputDevices();
+        } catch (error) {
+            console.warn('Could not list input devices:', error);
+        }
+        
+        const select = this.elements.inputDevice;
+        select.innerHTML = '<option value="">Default input</option>';
+        
+        devices.forEach((device, index) => {
+            if (!device.deviceId || device.deviceId === 'default') return;
+            
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Input ${index + 1}`;
+            select.appendChild(option);
+        });
+        
+        this.updateInputControls();
+    }
+
+    async applyInputSettings(changes) {
+        const reopens = Object.keys(changes).some(key => key !== 'gain');
+        
+        if (reopens && this.isRecording) {
+            this.updateStatus('⚠️ Cannot change the input while recording', 'orange');
+            this.updateInputControls();
+            return;
+        }
+        
+        const ok = await this.recorder.setInputSettings(changes);
+        this.saveSetting('input', this.recorder.inputSettings);
+        this.updateInputControls();
+        
+        if (reopens && ok && this.recorder.stream) {
+            this.startInputMeter();
+            this.updateStatus('🎙️ Input updated', 'green');
+        }
+    }
+
+    async handleInputTest() {
+        this.getAudioContext();
+        
+        if (!this.recorder.stream && !(await this.recorder.initialize())) {
+            return;
+        }
+        
+        // The saved device may have been replaced by the default
+        this.saveSetting('input', this.recorder.inputSettings);
+        await this.refreshInputDevices();
+        this.startInputMeter();
+        this.updateStatus('🎙️ Input open - play something to check your level', 'blue');
+    }
+
+    // Runs while the mic is open, before and during recording
+    startInputMeter() {
+        if (this.inputMeterFrame) return;
+        
+        const tick = () => {
+            const level = this.recorder.readInputLevel();
+            if (!level) {
+                this.inputMeterFrame = null;
+                this.updateInputMeter(0, 0);
+                return;
+            }
+            
+            this.updateInputMeter(level.peak, level.rms);
+            this.inputMeterFrame = requestAnimationFrame(tick);
+        };
+        
+        this.inputMeterFrame = requestAnimationFrame(tick);
+    }
+
+    updateInputMeter(peak, rms) {
+        const peakDb = MasterBus.gainToDb(peak);
+        const rmsDb = MasterBus.gainToDb(rms);
+        
+        // Meter spans -60 dBFS to 0 dBFS, RMS as the bar and peak as the marker
+        const toPercent = (db) => isFinite(db) ? Math.max(0, Math.min(100, (db + 60) / 60 * 100)) : 0;
+        this.elements.inputMeterRms.style.width = `${toPercent(rmsDb)}%`;
+        this.elements.inputMeterPeak.style.left = `${toPercent(peakDb)}%`;
+        this.elements.inputLevelValue.textContent = isFinite(peakDb) ? `${peakDb.toFixed(1)} dB` : '-∞ dB';
+        
+        // Latch the clip light until the user clicks the meter
+        if (peakDb >= -0.01) {
+            this.elements.inputClip.classList.add('clipped');
+        }
+    }
+
+    updateLatencyDisplay() {
+        this.elements.latencyValue.textContent = `${(this.latencyCompensation * 1000).toFixed(1)} ms`;
+    }
+
     async handleRecord() {
         if (this.isRecording) {
             this.recorder.stopRecording();
             return;
         }
+        
+        // A new take replaces the loop being analyzed
+        this.cancelAnalysis();
 
-        // Check if count-in is enabled
-        if (this.elements.countInToggle.checked) {
-            await this.playCountIn();
+        const ctx = this.getAudioContext();
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
+        }
+        
+        // Open the mic first so a permission prompt can't eat into the count-in
+        if (!this.recorder.stream && !(await this.recorder.initialize())) {
+            this.updateStatus('❌ Failed to start recording', 'red');
+            return;
         }
 
+        this.stopPlayback();
         this.isRecording = true;
-        this.currentRecordingLength = parseInt(this.elements.loopLength.value);
+        
+        // Free length: record until the second press, which closes the loop
+        const freeLength = this.elements.freeLengthToggle.checked;
+        this.currentRecordingLength = freeLength ? null : this.loopBars * this.getBarLength();
         
         // Show recording indicator
         this.elements.recordingIndicator.style.display = 'flex';
         
         // Disable loop length controls during recording
-        this.elements.loopLength.disabled = true;
-        document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = true);
+        this.setLoopControlsDisabled(true);
         
         this.elements.recordBtn.classList.add('recording');
-        this.elements.recordBtn.innerHTML = '<span class="icon">⏹️</span> Stop Recording <span id="recordTimer" class="timer"></span>';
-        this.updateStatus('🎤 Recording...', 'red');
+        let recordingMessage = '🎤 Recording...';
+        if (freeLength) {
+            this.elements.recordBtn.innerHTML = '<span class="icon">⏹️</span> Close Loop <span id="recordTimer" class="timer"></span>';
+            recordingMessage = '🎤 Recording... press Close Loop to set the loop length';
+        } else {
+            this.elements.recordBtn.innerHTML = '<span class="icon">⏹️</span> Stop Recording <span id="recordTimer" class="timer"></span>';
+        }
+
+        // With a count-in, capture is scheduled to begin exactly on the downbeat after it
+        const countInBars = this.getCountInBars();
+        let startAt = null;
+        if (countInBars > 0) {
+            startAt = ctx.currentTime + this.overdubLeadTime + countInBars * this.getBarLength();
+            this.scheduleCountIn(startAt, countInBars, recordingMessage, 'red');
+        } else {
+            this.updateStatus(recordingMessage, 'red');
+        }
 
-        const loopLength = this.currentRecordingLength;
+        const loopLength = freeLength ? Infinity : this.currentRecordingLength;
         const success = await this.recorder.startRecording(
             // Progress callback
             (secondsLeft) => {
@@ -320,16 +742,35 @@ class AudioLooperApp {
                 this.elements.recordingIndicator.style.display = 'none';
                 
                 // Re-enable loop length controls
-                this.elements.loopLength.disabled = false;
-                document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = false);
+                this.setLoopControlsDisabled(false);
                 
                 this.elements.recordBtn.classList.remove('recording');
                 this.elements.recordBtn.innerHTML = '<span class="icon">🎤</span> Record Initial Loop';
                 
+                // A new recording starts a new, unsaved session, recorded on the metronome's own grid
+                this.currentProject = null;
+                this.updateProjectName();
+                this.gridOffset = 0;
+                
+                // A free-length take defines the loop length every later overdub uses
+                let take = audioBuffer;
+                if (freeLength) {
+                    const bars = Math.max(1, Math.round(take.duration / this.getBarLength()));
+                    const loopSeconds = this.elements.quantizeBarsToggle.checked
+                        ? bars * this.getBarLength()
+                        : take.duration;
+                    take = this.recorder.alignToStart(take, 0, loopSeconds);
+                    this.setLoopBars(bars);
+                }
+                
                 // Initialize layers array with first layer
-                this.layers = [this.recorder.applyFades(audioBuffer)];
+                this.layers = [this.recorder.applyFades(take)];
                 this.layerVolumes = [1.0]; // Full volume for first layer
                 this.layerMuted = [false];
+                this.layerOffsets = [0];
+                this.layerPans = [0];
+                this.layerSoloed = [false];
+                this.layerEffects = [LayerEffects.defaultSettings()];
                 
                 // Clear undo/redo stacks for new recording
                 this.undoStack = [];
@@ -337,16 +778,23 @@ class AudioLooperApp {
                 this.updateUndoRedoButtons();
                 
                 this.loopAudioBuffer = this.layers[0];
+                this.updateLoopLengthDisplay();
                 await this.loadAudioToWaveform(this.loopAudioBuffer);
                 this.analyzeAudio(this.loopAudioBuffer);
                 this.enableControls();
                 this.updateLayerControls();
                 this.updateStatus('✅ Recording complete!', 'green');
             },
-            loopLength // Pass custom duration
+            loopLength, // Pass custom duration
+            // Compensate round-trip latency so the take lines up with the clicks the player heard
+            startAt !== null ? startAt + this.latencyCompensation : null
         );
 
+        // Keep the input meter running while we record
+        this.startInputMeter();
+
         if (!success) {
+            this.hideCountIn();
             this.isRecording = false;
             this.currentRecordingLength = null;
             
@@ -354,34 +802,104 @@ class AudioLooperApp {
             this.elements.recordingIndicator.style.display = 'none';
             
             // Re-enable loop length controls
-            this.elements.loopLength.disabled = false;
-            document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = false);
+            this.setLoopControlsDisabled(false);
             this.elements.recordBtn.classList.remove('recording');
             this.elements.recordBtn.innerHTML = '<span class="icon">🎤</span> Record Initial Loop';
             this.updateStatus('❌ Failed to start recording', 'red');
         }
     }
     
-    async playCountIn() {
-        // Initialize audio context if needed
-        if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // Bars of count-in before a take (0 when count-in is off)
+    getCountInBars() {
+        return this.elements.countInToggle.checked ? parseInt(this.elements.countInBars.value) : 0;
+    }
+    
+    // Schedule every count-in click on the AudioContext clock, `bars` bars of beats leading up
+    // to `loopStart`, the moment capture (and overdub playback) begins. The clicks sit on the
+    // metronome's grid, whose downbeat is gridOffset seconds into the loop, so they stay in
+    // phase with it (and the song) - with no offset the last beat ends exactly at loopStart.
+    // message/color is the status shown once the count-in is over.
+    scheduleCountIn(loopStart, bars, message, color, gridOffset = 0) {
+        const beatLength = this.getBeatLength();
+        const beatsPerBar = this.tempo.beatsPerBar;
+        const totalBeats = bars * beatsPerBar;
+        const mod = (n, m) => ((n % m) + m) % m;
+        
+        // The grid beat at or right after loopStart closes the count-in
+        const phase = mod(gridOffset, beatLength);
+        const firstBeat = loopStart + phase - totalBeats * beatLength;
+        const firstBarBeat = mod(Math.round((firstBeat - loopStart - gridOffset) / beatLength), beatsPerBar);
+        
+        for (let i = 0; i < totalBeats; i++) {
+            // Accent every bar of the grid
+            this.playClick(firstBeat + i * beatLength, (firstBarBeat + i) % beatsPerBar === 0);
+        }
+        
+        this.showCountIn(firstBeat, totalBeats, message, color, firstBarBeat);
+    }
+    
+    // Beat countdown in the status area, read from the same clock the clicks run on.
+    // firstBarBeat: position in the bar of the first count-in beat
+    showCountIn(firstBeat, totalBeats, message, color, firstBarBeat = 0) {
+        const ctx = this.audioContext;
+        const beatLength = this.getBeatLength();
+        const beatsPerBar = this.tempo.beatsPerBar;
+        
+        // One dot per beat of the bar, the downbeat marked
+        const dots = [];
+        this.elements.countInBeats.innerHTML = '';
+        for (let i = 0; i < beatsPerBar; i++) {
+            const dot = document.createElement('span');
+            dot.className = i === 0 ? 'count-in-beat accent' : 'count-in-beat';
+            this.elements.countInBeats.appendChild(dot);
+            dots.push(dot);
         }
         
-        const bpm = 120; // Default tempo
-        const beatDuration = 60 / bpm; // Duration of one beat in seconds
+        // Closing a free-length loop mid count-in would leave an empty take
+        this.countInActive = true;
+        this.elements.recordBtn.disabled = true;
+        this.elements.countInNumber.textContent = totalBeats;
+        this.elements.countInDisplay.style.display = 'flex';
+        this.updateStatus('🎵 Count-in...', 'blue');
+        
+        let shownBeat = -1;
+        const tick = () => {
+            // Show each beat when it is heard rather than when it is scheduled
+            const heardTime = ctx.currentTime - (ctx.outputLatency || 0);
+            const beat = Math.floor((heardTime - firstBeat) / beatLength);
+            
+            if (beat >= totalBeats) {
+                this.hideCountIn();
+                this.updateStatus(message, color);
+                return;
+            }
+            
+            if (beat >= 0 && beat !== shownBeat) {
+                shownBeat = beat;
+                const beatsLeft = totalBeats - beat;
+                this.elements.countInNumber.textContent = beatsLeft;
+                dots.forEach((dot, i) => dot.classList.toggle('active', i === (firstBarBeat + beat) % beatsPerBar));
+                this.updateStatus(`🎵 Count-in: ${beatsLeft}...`, 'blue');
+            }
+            
+            this.countInFrame = requestAnimationFrame(tick);
+        };
         
-        // Play 4 clicks
-        for (let i = 1; i <= 4; i++) {
-            this.updateStatus(`🎵 Count-in: ${i}...`, 'blue');
-            this.playClick(i === 1); // First click is louder
-            await this.sleep(beatDuration * 1000); // Convert to milliseconds
+        this.countInFrame = requestAnimationFrame(tick);
+    }
+    
+    hideCountIn() {
+        if (this.countInFrame) {
+            cancelAnimationFrame(this.countInFrame);
+            this.countInFrame = null;
         }
         
-        this.updateStatus('🎤 Recording starting...', 'blue');
+        this.countInActive = false;
+        this.elements.recordBtn.disabled = false;
+        this.elements.countInDisplay.style.display = 'none';
     }
     
-    playClick(isAccent = false) {
+    playClick(time, isAccent = false) {
         const ctx = this.audioContext;
         const osc = ctx.createOscillator();
         const gain = ctx.createGain();
@@ -394,105 +912,90 @@ class AudioLooperApp {
         osc.frequency.value = isAccent ? 1200 : 800;
         gain.gain.value = isAccent ? 0.3 : 0.15;
         
-        osc.start(ctx.currentTime);
-        osc.stop(ctx.currentTime + 0.05); // Short click
+        osc.start(time);
+        osc.stop(time + 0.05); // Short click
         
         // Fade out to avoid clicking
-        gain.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.05);
+        gain.gain.setValueAtTime(gain.gain.value, time);
+        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.05);
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    startMetronome() {
+        this.getAudioContext();
+        this.metronome.start();
     }
     
-    startMetronome() {
-        if (this.metronomeIsPlaying) return;
-        
-        // Initialize audio context if needed
-        if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    stopMetronome() {
+        if (this.metronome) {
+            this.metronome.stop();
         }
-        
-        this.metronomeIsPlaying = true;
-        this.metronomeNextClickTime = this.audioContext.currentTime;
-        this.scheduleMetronomeClicks();
     }
     
-    scheduleMetronomeClicks() {
-        if (!this.metronomeIsPlaying) return;
-        
-        const ctx = this.audioContext;
-        const bpm = parseInt(this.elements.metronomeBpm.value) || 120;
-        const secondsPerBeat = 60.0 / bpm;
-        const scheduleAheadTime = 0.1; // Schedule 100ms ahead
-        const currentTime = ctx.currentTime;
-        
-        // Schedule clicks that need to be played soon
-        while (this.metronomeNextClickTime < currentTime + scheduleAheadTime) {
-            this.playMetronomeClick(this.metronomeNextClickTime);
-            this.metronomeNextClickTime += secondsPerBeat;
-        }
-        
-        // Schedule next batch
-        setTimeout(() => this.scheduleMetronomeClicks(), 25);
+    // Volume, subdivision and kit apply to the next scheduled click
+    setMetronomeSettings(changes) {
+        Object.assign(this.metronomeSettings, changes);
+        this.saveSetting('metronome', this.metronomeSettings);
     }
     
-    playMetronomeClick(time) {
-        if (!this.audioContext) return;
-        
-        const ctx = this.audioContext;
-        const osc = ctx.createOscillator();
-        const gain = ctx.createGain();
-        
-        osc.connect(gain);
-        gain.connect(ctx.destination);
+    updateMetronomeControls() {
+        const settings = this.metronomeSettings;
         
-        // Get volume from slider (0-100)
-        const volume = parseInt(this.elements.metronomeVolume.value) / 100;
-        
-        osc.frequency.value = 1000; // Fixed frequency for metronome
-        gain.gain.value = 0.15 * volume; // Apply volume
-        
-        osc.start(time);
-        osc.stop(time + 0.05); // Short click
+        this.elements.metronomeSubdivision.innerHTML = '';
+        Metronome.SUBDIVISIONS.forEach(subdivision => {
+            this.elements.metronomeSubdivision.add(new Option(subdivision.label, subdivision.value));
+        });
+        this.elements.metronomeKit.innerHTML = '';
+        Metronome.KITS.forEach(kit => this.elements.metronomeKit.add(new Option(kit.label, kit.id)));
         
-        // Fade out to avoid clicking
-        gain.gain.exponentialRampToValueAtTime(0.01, time + 0.05);
-    }
-    
-    stopMetronome() {
-        this.metronomeIsPlaying = false;
+        this.elements.metronomeSubdivision.value = settings.subdivision;
+        this.elements.metronomeKit.value = settings.kit;
+        this.elements.metronomeVolume.value = Math.round(settings.volume * 100);
+        this.elements.metronomeVolumeValue.textContent = `${this.elements.metronomeVolume.value}%`;
     }
 
-    handlePlayPause() {
+    async handlePlayPause() {
         if (!this.loopAudioBuffer) {
             console.warn('No audio buffer loaded');
             return;
         }
         
-        if (!this.wavesurfer) {
-            console.error('WaveSurfer not initialized');
-            return;
-        }
-        
-        // Check if wavesurfer is ready
-        if (this.wavesurfer.getDuration() === 0) {
-            console.error('WaveSurfer not ready - no duration');
-            this.updateStatus('❌ Audio not loaded properly', 'red');
-            return;
-        }
-        
         try {
             // Toggle play/pause
-            this.wavesurfer.playPause();
-            
-            // Status will be updated by WaveSurfer event listeners
+            if (this.player.isPlaying) {
+                this.player.pause();
+                this.updatePlayPauseButton(false);
+            } else {
+                await this.startPlayback();
+            }
         } catch (error) {
             console.error('Playback error:', error);
             this.updateStatus('❌ Playback error', 'red');
         }
     }
     
+    // Start (or resume) the loop engine, by default from its current position
+    async startPlayback(when = 0, offset = this.player.getCurrentTime()) {
+        const ctx = this.getAudioContext();
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
+        }
+        
+        this.player.play(
+            (currentTime) => this.handlePlaybackProgress(currentTime),
+            () => this.updatePlayPauseButton(false),
+            when,
+            true, // Loop until stopped
+            offset
+        );
+        this.updatePlayPauseButton(true);
+    }
+    
+    stopPlayback() {
+        this.player.stop();
+        this.updatePlayPauseButton(false);
+        this.updateProgressSlider();
+    }
+    
     updatePlayPauseButton(isPlaying) {
         const btn = this.elements.playPauseBtn;
         if (isPlaying) {
@@ -508,90 +1011,53 @@ class AudioLooperApp {
         }
     }
 
-    handlePlay() {
-        if (!this.loopAudioBuffer) {
-            console.warn('No audio buffer loaded');
-            return;
+    async handleOverdub() {
+        if (!this.loopAudioBuffer) return;
+
+        // Overdubs always cover exactly one base loop, so every layer lines up sample for sample
+        // (the bars setting only applies to the next initial recording)
+        const loopLength = this.layers[0].duration;
+
+        const ctx = this.getAudioContext();
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
         }
         
-        if (!this.wavesurfer) {
-            console.error('WaveSurfer not initialized');
+        // Open the mic first so a permission prompt can't eat into the count-in
+        if (!this.recorder.stream && !(await this.recorder.initialize())) {
+            this.updateStatus('❌ Failed to record overdub', 'red');
             return;
         }
+
+        this.isRecording = true;
+        this.currentRecordingLength = loopLength;
         
-        // Check if wavesurfer is ready
-        if (this.wavesurfer.getDuration() === 0) {
-            console.error('WaveSurfer not ready - no duration');
-            this.updateStatus('❌ Audio not loaded properly', 'red');
-            return;
-        }
-        
-        try {
-            this.wavesurfer.play();
-            this.updateStatus('🔊 Playing loop...', 'blue');
-        } catch (error) {
-            console.error('Playback error:', error);
-            this.updateStatus('❌ Playback failed', 'red');
-        }
-    }
-
-    async handleOverdub() {
-        if (!this.loopAudioBuffer) return;
-
-        // Get the base loop duration
-        const baseLoopDuration = this.layers[0].duration;
-        const currentLoopLength = parseInt(this.elements.loopLength.value);
-        
-        // Warn if trying to overdub with different length than base loop
-        if (Math.abs(currentLoopLength - baseLoopDuration) > 0.1) {
-            const proceed = confirm(
-                `⚠️ Loop Length Mismatch!\n\n` +
-                `Base loop: ${baseLoopDuration.toFixed(1)}s\n` +
-                `Current setting: ${currentLoopLength}s\n\n` +
-                `Overdubbing with a different length may cause sync issues.\n\n` +
-                `Click OK to use ${baseLoopDuration.toFixed(1)}s (recommended)\n` +
-                `Click Cancel to use ${currentLoopLength}s anyway`
-            );
-            
-            if (proceed) {
-                // Auto-adjust to base loop duration
-                this.elements.loopLength.value = Math.round(baseLoopDuration);
-                this.updateLoopLengthDisplay(Math.round(baseLoopDuration));
-                
-                // Update preset button active state
-                document.querySelectorAll('.preset-btn').forEach(btn => {
-                    if (parseInt(btn.dataset.seconds) === Math.round(baseLoopDuration)) {
-                        btn.classList.add('active');
-                    } else {
-                        btn.classList.remove('active');
-                    }
-                });
-            }
-        }
-
-        // Play count-in if enabled
-        if (this.elements.countInToggle.checked) {
-            await this.playCountIn();
-        }
-
-        this.isRecording = true;
-        this.currentRecordingLength = loopLength;
-        
-        // Show recording indicator
-        this.elements.recordingIndicator.style.display = 'flex';
+        // Show recording indicator
+        this.elements.recordingIndicator.style.display = 'flex';
         
         // Disable loop length controls during overdub recording
-        this.elements.loopLength.disabled = true;
-        document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = true);
+        this.setLoopControlsDisabled(true);
         
-        this.updateStatus('🎤 Recording overdub...', 'orange');
         this.elements.overdubBtn.disabled = true;
 
+        // Schedule the existing mix (from the top of the loop) and the capture to begin on the
+        // same sample - the downbeat right after the count-in, if there is one
+        const countInBars = this.getCountInBars();
+        const startAt = ctx.currentTime + this.overdubLeadTime + countInBars * this.getBarLength();
+        if (countInBars > 0) {
+            this.scheduleCountIn(startAt, countInBars, '🎤 Recording overdub...', 'orange', this.gridOffset);
+        } else {
+            this.updateStatus('🎤 Recording overdub...', 'orange');
+        }
+        await this.startPlayback(startAt, 0);
+
         const success = await this.recorder.startRecording(
             (secondsLeft) => {
+                if (this.countInActive) return; // The countdown owns the status until the downbeat
                 this.elements.statusText.textContent = `🎤 Recording overdub... (${secondsLeft}s)`;
             },
             async (audioBuffer) => {
+                // Playback keeps looping - the new mix is swapped in seamlessly below
                 this.isRecording = false;
                 this.currentRecordingLength = null;
                 
@@ -599,8 +1065,7 @@ class AudioLooperApp {
                 this.elements.recordingIndicator.style.display = 'none';
                 
                 // Re-enable loop length controls
-                this.elements.loopLength.disabled = false;
-                document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = false);
+                this.setLoopControlsDisabled(false);
                 
                 // Save current state to undo stack before making changes
                 this.saveStateToUndo();
@@ -610,22 +1075,34 @@ class AudioLooperApp {
                 this.layers.push(fadedBuffer);
                 this.layerVolumes.push(1.0); // Full volume for new layer
                 this.layerMuted.push(false);
+                this.layerOffsets.push(0);
+                this.layerPans.push(0);
+                this.layerSoloed.push(false);
+                this.layerEffects.push(LayerEffects.defaultSettings());
                 
                 // Clear redo stack when new action is performed
                 this.redoStack = [];
                 
                 // Mix all layers with their respective volumes
-                this.loopAudioBuffer = this.mixLayers();
+                this.loopAudioBuffer = await this.mixLayers();
                 
                 await this.loadAudioToWaveform(this.loopAudioBuffer);
                 this.updateLayerControls();
                 this.updateStatus('✅ Overdub complete!', 'green');
                 this.elements.overdubBtn.disabled = false;
+                this.autosaveProject();
             },
-            loopLength // Pass custom duration
+            loopLength, // Pass custom duration
+            // Align the new layer with sample 0 of the mix, compensating for round-trip latency
+            startAt + this.latencyCompensation
         );
 
+        // Keep the input meter running while we record
+        this.startInputMeter();
+
         if (!success) {
+            this.hideCountIn();
+            this.stopPlayback();
             this.isRecording = false;
             this.currentRecordingLength = null;
             
@@ -633,15 +1110,14 @@ class AudioLooperApp {
             this.elements.recordingIndicator.style.display = 'none';
             
             // Re-enable loop length controls
-            this.elements.loopLength.disabled = false;
-            document.querySelectorAll('.preset-btn').forEach(btn => btn.disabled = false);
+            this.setLoopControlsDisabled(false);
             
             this.updateStatus('❌ Failed to record overdub', 'red');
             this.elements.overdubBtn.disabled = false;
         }
     }
     
-    handleUndo() {
+    async handleUndo() {
         if (this.undoStack.length === 0) {
             this.updateStatus('⚠️ Nothing to undo', 'orange');
             return;
@@ -655,14 +1131,19 @@ class AudioLooperApp {
         this.layers = previousState.layers;
         this.layerVolumes = previousState.layerVolumes;
         this.layerMuted = previousState.layerMuted;
+        this.layerOffsets = previousState.layerOffsets;
+        this.layerPans = previousState.layerPans;
+        this.layerSoloed = previousState.layerSoloed;
+        this.layerEffects = previousState.layerEffects;
         
         // Re-mix audio
-        this.loopAudioBuffer = this.mixLayers();
-        this.loadAudioToWaveform(this.loopAudioBuffer);
+        const mixed = await this.remix();
         this.updateLayerControls();
         this.updateUndoRedoButtons();
+        if (!mixed) return;
         
         this.updateStatus('↩️ Undone - Last layer removed', 'green');
+        this.autosaveProject();
     }
     
     saveStateToUndo() {
@@ -670,7 +1151,11 @@ class AudioLooperApp {
         this.undoStack.push({
             layers: [...this.layers],
             layerVolumes: [...this.layerVolumes],
-            layerMuted: [...this.layerMuted]
+            layerMuted: [...this.layerMuted],
+            layerOffsets: [...this.layerOffsets],
+            layerPans: [...this.layerPans],
+            layerSoloed: [...this.layerSoloed],
+            layerEffects: this.layerEffects.map(settings => LayerEffects.cloneSettings(settings))
         });
         
         // Limit undo stack to 10 items to prevent memory issues
@@ -686,7 +1171,11 @@ class AudioLooperApp {
         this.redoStack.push({
             layers: [...this.layers],
             layerVolumes: [...this.layerVolumes],
-            layerMuted: [...this.layerMuted]
+            layerMuted: [...this.layerMuted],
+            layerOffsets: [...this.layerOffsets],
+            layerPans: [...this.layerPans],
+            layerSoloed: [...this.layerSoloed],
+            layerEffects: this.layerEffects.map(settings => LayerEffects.cloneSettings(settings))
         });
         
         // Limit redo stack to 10 items
@@ -706,32 +1195,21 @@ class AudioLooperApp {
         this.updateStatus('🎼 Detecting chords...', 'purple');
         this.elements.detectChordsBtn.disabled = true;
 
-        const audioData = this.loopAudioBuffer.getChannelData(0);
-        const sampleRate = this.loopAudioBuffer.sampleRate;
-
-        if (this.analysisWorker) {
-            // Use Web Worker (non-blocking)
-            this.analysisWorker.postMessage({
-                type: 'chords',
-                audioData: Array.from(audioData),
-                sampleRate: sampleRate
-            });
-        } else {
-            // Fallback to timeout
-            setTimeout(() => {
-                const chords = this.analyzer.detectChords(this.loopAudioBuffer);
-                
-                let chordsText = '';
-                chords.forEach(({ time, chord }) => {
-                    chordsText += `${time}: ${chord}\n`;
-                });
-                
-                this.elements.chordsDisplay.textContent = chordsText || 'No chords detected';
-                this.elements.chordsContainer.style.display = 'block';
-                
-                this.updateStatus('✅ Chord detection complete!', 'green');
-                this.elements.detectChordsBtn.disabled = false;
-            }, 100);
+        // Chords are recognized per tracked beat when there is a beat grid, per frame otherwise
+        const beats = this.beatGrid && this.beatGrid.beats.length > 1 ? this.beatGrid.beats : null;
+        
+        try {
+            await this.runAnalysis(this.loopAudioBuffer, [{ type: 'chords', options: { beats } }], {
+                chords: (chords) => {
+                    console.log('Chords detected:', chords);
+                    this.displayChords(chords);
+                }
+            }, { text: '🎼 Detecting chords...', color: 'purple' });
+            this.updateStatus('✅ Chord detection complete!', 'green');
+        } catch (error) {
+            this.handleAnalysisError(error, 'Chord detection');
+        } finally {
+            this.elements.detectChordsBtn.disabled = false;
         }
     }
 
@@ -751,6 +1229,13 @@ class AudioLooperApp {
             return;
         }
 
+        // LoopCraft bundles restore a whole multi-layer session
+        if (file.name.toLowerCase().endsWith(ProjectBundle.EXTENSION)) {
+            await this.handleBundleImport(file);
+            event.target.value = '';
+            return;
+        }
+
         // Validate file type
         const validTypes = ['audio/wav', 'audio/mpeg', 'audio/mp3', 'audio/ogg', 'audio/flac', 'audio/m4a'];
         const validExtensions = ['.wav', '.mp3', '.ogg', '.flac', '.m4a', '.aiff'];
@@ -764,33 +1249,20 @@ class AudioLooperApp {
             return;
         }
 
+        this.stopPlayback();
         this.updateStatus('📂 Loading audio file...', 'blue');
 
         try {
-            this.loopAudioBuffer = await this.recorder.loadAudioFile(file);
-            console.log('Audio buffer loaded, duration:', this.loopAudioBuffer.duration);
-            
-            this.loopAudioBuffer = this.recorder.applyFades(this.loopAudioBuffer);
+            const audioBuffer = await this.recorder.loadAudioFile(file);
+            console.log('Audio buffer loaded, duration:', audioBuffer.duration);
             
-            // Initialize layers array with loaded file
-            this.layers = [this.loopAudioBuffer];
-            this.layerVolumes = [1.0];
-            this.layerMuted = [false];
-            
-            // Clear undo/redo stacks for new file
-            this.undoStack = [];
-            this.redoStack = [];
-            this.updateUndoRedoButtons();
+            // A loaded file starts a new, unsaved session
+            this.currentProject = null;
+            this.updateProjectName();
             
             this.updateStatus('📊 Preparing waveform...', 'blue');
-            await this.loadAudioToWaveform(this.loopAudioBuffer);
-            
-            this.enableControls();
-            this.updateLayerControls();
+            await this.loadSession([this.recorder.applyFades(audioBuffer)]);
             this.updateStatus(`✅ Loaded: ${file.name}`, 'green');
-            
-            // Analyze audio (non-blocking with Web Worker)
-            this.analyzeAudio(this.loopAudioBuffer);
         } catch (error) {
             console.error('Failed to load file:', error);
             alert(`❌ Failed to load audio file:\n\n${error.message}`);
@@ -800,11 +1272,295 @@ class AudioLooperApp {
         event.target.value = '';
     }
 
+    // Replace the current session with `layers`, restoring saved mix and analysis state when
+    // given (see getSessionState). Shared by file loading and opening projects.
+    async loadSession(layers, state = {}) {
+        this.stopPlayback();
+        clearTimeout(this.waveformRedrawTimer);
+        this.mixGeneration++;
+        
+        // Whatever is still running belongs to the previous session
+        this.cancelAnalysis();
+        
+        this.layers = layers;
+        this.layerVolumes = state.layerVolumes ? [...state.layerVolumes] : layers.map(() => 1.0);
+        this.layerMuted = state.layerMuted ? [...state.layerMuted] : layers.map(() => false);
+        this.layerOffsets = state.layerOffsets ? [...state.layerOffsets] : layers.map(() => 0);
+        this.layerPans = state.layerPans ? [...state.layerPans] : layers.map(() => 0);
+        this.layerSoloed = state.layerSoloed ? [...state.layerSoloed] : layers.map(() => false);
+        this.layerEffects = state.layerEffects
+            ? state.layerEffects.map(settings => LayerEffects.cloneSettings(settings))
+            : layers.map(() => LayerEffects.defaultSettings());
+        this.openEffectsPanels.clear();
+        this.masterSettings = { ...MasterBus.defaultSettings(), ...state.master };
+        this.masterNormalizationGain = 1.0;
+        this.updateMasterControls();
+        
+        if (state.tempo) {
+            this.setTempo(state.tempo);
+        }
+        
+        if (state.loopBars) {
+            this.setLoopBars(state.loopBars);
+        } else if (state.loopLength) {
+            this.setLoopBars(Math.round(state.loopLength / this.getBarLength()));
+        }
+        
+        // Clear undo/redo stacks for the new session
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateUndoRedoButtons();
+        
+        // Forget the previous session's analysis
+        this.detectedChords = [];
+        this.currentChordIndex = -1;
+        this.elements.chordLabelsLayer.innerHTML = '';
+        this.setBeatGrid(null);
+        this.gridOffset = state.gridOffset || 0;
+        this.elements.chordsContainer.style.display = 'none';
+        
+        // A saved mix is rendered so the waveform matches what was saved
+        this.loopAudioBuffer = layers.length > 1 || state.master ? await this.mixLayers() : layers[0];
+        await this.loadAudioToWaveform(this.loopAudioBuffer);
+        
+        this.enableControls();
+        this.updateLayerControls();
+        
+        if (state.bpm && state.key) {
+            this.setDetectedTempo(state.bpm);
+            this.setBeatGrid(state.beatGrid || null);
+            // Sessions saved before key candidates only have the key itself
+            this.setKeyEstimate(state.keyEstimate || { key: state.key, confidence: null, candidates: [] });
+            this.selectKey(state.key);
+        } else {
+            // Analyze audio (non-blocking with Web Worker)
+            this.analyzeAudio(this.loopAudioBuffer);
+        }
+        
+        if (state.chords && state.chords.length > 0) {
+            this.displayChords(state.chords);
+        }
+        
+        this.updateLoopLengthDisplay();
+    }
+
+    // Everything about the session except the audio itself - plain data, safe to store or serialize
+    getSessionState() {
+        return {
+            tempo: { ...this.tempo },
+            loopBars: this.loopBars,
+            loopLength: this.getLoopLength(),
+            bpm: this.detectedTempo,
+            beatGrid: this.beatGrid,
+            gridOffset: this.gridOffset,
+            key: this.detectedKey,
+            keyEstimate: this.keyEstimate,
+            chords: this.detectedChords.map(chord => ({ ...chord })),
+            layerVolumes: [...this.layerVolumes],
+            layerMuted: [...this.layerMuted],
+            layerOffsets: [...this.layerOffsets],
+            layerPans: [...this.layerPans],
+            layerSoloed: [...this.layerSoloed],
+            layerEffects: this.layerEffects.map(settings => LayerEffects.cloneSettings(settings)),
+            master: { ...this.masterSettings }
+        };
+    }
+
+    async handleBundleImport(file) {
+        if (this.isRecording) {
+            this.updateStatus('⚠️ Cannot import while recording', 'orange');
+            return;
+        }
+        
+        this.stopPlayback();
+        this.updateStatus('📦 Importing bundle...', 'blue');
+        
+        try {
+            const { manifest, layerBlobs } = await ProjectBundle.unpack(file);
+            
+            const layers = await Promise.all(layerBlobs.map((blob, index) =>
+                this.recorder.blobToAudioBuffer(blob).catch(() => {
+                    throw new Error(`Layer ${index + 1} is not a readable WAV file`);
+                })
+            ));
+            
+            // An imported bundle is a new, unsaved session until it's saved or overdubbed
+            this.currentProject = null;
+            this.updateProjectName();
+            if (manifest.name) {
+                this.elements.projectName.value = manifest.name;
+            }
+            
+            this.updateStatus('📊 Preparing waveform...', 'blue');
+            await this.loadSession(layers, manifest);
+            this.updateStatus(`✅ Imported: ${manifest.name || file.name} (${layers.length} layers)`, 'green');
+        } catch (error) {
+            console.error('Failed to import bundle:', error);
+            alert(`❌ Could not import bundle:\n\n${error.message}`);
+            this.updateStatus('❌ Failed to import bundle', 'red');
+        }
+    }
+
+    async handleBundleExport() {
+        if (this.layers.length === 0) return;
+        
+        const name = this.getSessionName();
+        this.updateStatus('📦 Packing bundle...', 'blue');
+        
+        try {
+            const layerBlobs = await Promise.all(this.layers.map(buffer => this.player.audioBufferToBlob(buffer)));
+            const bundle = await ProjectBundle.pack({ name, ...this.getSessionState() }, layerBlobs);
+            
+            this.downloadBlob(bundle, ProjectBundle.fileName(name));
+            this.updateStatus(`📦 Exported: ${ProjectBundle.fileName(name)}`, 'green');
+        } catch (error) {
+            console.error('Failed to export bundle:', error);
+            this.updateStatus('❌ Failed to export bundle', 'red');
+        }
+    }
+
+    getSessionName() {
+        if (this.currentProject) return this.currentProject.name;
+        return this.elements.projectName.value.trim() || 'loop';
+    }
+
+    // Offline render for export: the full mix exactly as heard (with the limiter safety net),
+    // or one layer's stem through its own strip and the master gain, at its volume in the mix.
+    // Stems skip the limiter, so they only sum back to the mix when the limiter didn't have to
+    // reduce it.
+    async renderExport(sampleRate, stemIndex = null) {
+        this.syncPlayerLayers();
+        
+        const buffer = await this.player.renderLoop((mixer) => {
+            this.applyMixerState(mixer);
+            if (stemIndex === null) return;
+            
+            this.layers.forEach((layer, index) => {
+                mixer.setGain(index, index === stemIndex ? this.getEffectiveLayerGain(index) : 0);
+            });
+            mixer.master.apply({ ...this.masterSettings, limiter: false }, this.masterNormalizationGain);
+        }, sampleRate);
+        
+        if (stemIndex === null && this.masterSettings.limiter) {
+            MasterBus.limitBuffer(buffer, this.masterSettings.ceiling);
+        }
+        
+        return buffer;
+    }
+
+    async handleExport() {
+        if (this.layers.length === 0 || this.isExporting) return;
+        
+        const format = AudioExporter.getFormat(this.elements.exportFormat.value);
+        const sampleRate = parseInt(this.elements.exportSampleRate.value);
+        const stems = this.elements.exportTarget.value === 'stems';
+        const printClick = this.elements.exportClick.checked;
+        const name = this.getSessionName();
+        
+        this.isExporting = true;
+        this.elements.exportBtn.disabled = true;
+        
+        try {
+            // Muted, soloed-away and zero-volume layers would only download as silence
+            const layerTargets = this.layers.map((layer, index) => ({ label: index === 0 ? 'base' : `layer-${index}`, stemIndex: index }));
+            const silent = layerTargets.filter(target => this.getEffectiveLayerGain(target.stemIndex) === 0);
+            const targets = stems
+                ? layerTargets.filter(target => !silent.includes(target))
+                : [{ label: 'mix', stemIndex: null }];
+            
+            if (stems && targets.length === 0) {
+                this.updateStatus('⚠️ Every layer is silent (muted, soloed away or at 0%) - nothing to export as stems', 'orange');
+                return;
+            }
+            
+            // The click goes out as a stem of its own, on the grid the layers were recorded to
+            if (printClick) {
+                targets.push({ label: 'click', click: true });
+            }
+            
+            // Everything but 32-bit float clamps samples above 0 dBFS, which only the limited mix
+            // is guaranteed to stay under
+            const clamps = format.bitDepth !== 32;
+            const clipped = [];
+            
+            for (const target of targets) {
+                const label = target.label;
+                
+                this.updateStatus(`⬇️ Rendering ${label}...`, 'blue');
+                const buffer = target.click
+                    ? await Metronome.render(this.tempo, this.metronomeSettings, this.layers[0].duration, sampleRate, this.gridOffset)
+                    : await this.renderExport(sampleRate, target.stemIndex);
+                
+                const limited = target.stemIndex === null && this.masterSettings.limiter;
+                if (clamps && !target.click && !limited) {
+                    const peakDb = MasterBus.gainToDb(MasterBus.getPeak(buffer));
+                    if (peakDb > 0) {
+                        clipped.push(`${label} clips by +${peakDb.toFixed(1)} dB`);
+                    }
+                }
+                
+                if (format.mimeType) {
+                    this.updateStatus(`⬇️ Encoding ${label} as ${format.label} (takes ${buffer.duration.toFixed(0)}s)...`, 'blue');
+                }
+                const blob = await this.exporter.encode(buffer, format);
+                
+                this.downloadBlob(blob, AudioExporter.fileName(name, label, format));
+            }
+            
+            let exported = stems ? `${targets.length} stems` : 'mix';
+            if (!stems && printClick) {
+                exported = 'mix and click';
+            }
+            if (stems && silent.length > 0) {
+                exported += `, leaving out silent ${silent.map(target => target.label).join(', ')}`;
+            }
+            if (clipped.length > 0) {
+                this.updateStatus(`⚠️ Exported ${exported}, but ${clipped.join(', ')} - enable the limiter, lower the master or export as 32-bit float`, 'orange');
+            } else {
+                this.updateStatus(`✅ Exported ${exported} (${format.label}, ${sampleRate} Hz)`, 'green');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.updateStatus(`❌ Export failed: ${error.message}`, 'red');
+        } finally {
+            this.isExporting = false;
+            this.elements.exportBtn.disabled = false;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    updateMasterControls() {
+        const gainPercent = Math.round(this.masterSettings.gain * 100);
+        this.elements.masterGain.value = gainPercent;
+        this.elements.masterGainValue.textContent = `${gainPercent}%`;
+        this.elements.masterLimiterToggle.checked = this.masterSettings.limiter;
+        this.elements.masterNormalizeToggle.checked = this.masterSettings.normalize;
+        this.elements.masterTargetLufs.value = String(this.masterSettings.targetLufs);
+        this.elements.masterClip.classList.remove('clipped');
+    }
+
     handleClear() {
         if (!confirm('Are you sure you want to clear the current loop?')) return;
 
+        this.stopPlayback();
+        clearTimeout(this.waveformRedrawTimer);
+        this.mixGeneration++;
+        this.cancelAnalysis();
+
         // Stop metronome if playing
-        if (this.metronomeIsPlaying) {
+        if (this.metronome && this.metronome.isPlaying) {
             this.elements.metronomeToggle.checked = false;
             this.stopMetronome();
         }
@@ -813,13 +1569,22 @@ class AudioLooperApp {
         this.layers = [];
         this.layerVolumes = [];
         this.layerMuted = [];
+        this.layerOffsets = [];
+        this.layerPans = [];
+        this.layerSoloed = [];
+        this.layerEffects = [];
+        this.openEffectsPanels.clear();
         this.undoStack = [];
         this.redoStack = [];
         this.detectedChords = [];
+        this.setDetectedTempo(null);
+        this.setBeatGrid(null);
+        this.gridOffset = 0;
+        this.setKeyEstimate(null);
         this.currentChordIndex = -1;
+        this.currentProject = null;
+        this.updateProjectName();
         this.wavesurfer.empty();
-        this.elements.tempoValue.textContent = '--';
-        this.elements.keyValue.textContent = '--';
         this.elements.currentTime.textContent = '0:00';
         this.elements.totalTime.textContent = '0:00';
         this.elements.progressBar.style.width = '0%';
@@ -829,12 +1594,17 @@ class AudioLooperApp {
         this.elements.chordLabelsLayer.innerHTML = '';
         this.elements.layersSection.style.display = 'none';
         this.elements.layersList.innerHTML = '';
+        this.elements.masterSection.style.display = 'none';
+        this.elements.exportSection.style.display = 'none';
+        this.elements.masterLoudness.textContent = 'Mix loudness: --';
+        this.elements.masterClip.classList.remove('clipped');
         this.elements.scaleNotesSection.style.display = 'none';
         this.elements.scaleNotes.innerHTML = '';
         this.elements.chordsDisplay.textContent = 'Load or record audio to detect chords';
         this.elements.chordsContainer.style.display = 'none';
         this.disableControls();
         this.updateUndoRedoButtons();
+        this.updateLoopLengthDisplay();
         this.updateStatus('Ready to record!', 'blue');
     }
 
@@ -842,6 +1612,9 @@ class AudioLooperApp {
         try {
             console.log('Loading audio to waveform, duration:', audioBuffer.duration);
             
+            // Hand the layers to the loop engine first so playback continues uninterrupted
+            this.syncPlayerLayers();
+            
             // Convert AudioBuffer to Blob
             const blob = await this.player.audioBufferToBlob(audioBuffer);
             const url = URL.createObjectURL(blob);
@@ -871,75 +1644,302 @@ class AudioLooperApp {
             // Show the loop position marker
             this.elements.loopPositionMarker.style.display = 'block';
             
+            this.renderGrid();
         } catch (error) {
             console.error('Error loading audio to waveform:', error);
             throw error;
         }
     }
 
-    analyzeAudio(audioBuffer) {
+    async analyzeAudio(audioBuffer) {
         this.updateStatus('🔍 Analyzing audio...', 'blue');
         
-        // Extract audio data for worker
-        const audioData = audioBuffer.getChannelData(0);
-        const sampleRate = audioBuffer.sampleRate;
-        
-        if (this.analysisWorker) {
-            // Use Web Worker (non-blocking)
-            console.log('Using Web Worker for analysis');
-            this.analysisWorker.postMessage({
-                type: 'tempo',
-                audioData: Array.from(audioData),
-                sampleRate: sampleRate
-            });
-            
-            this.analysisWorker.postMessage({
-                type: 'key',
-                audioData: Array.from(audioData),
-                sampleRate: sampleRate
-            });
-        } else {
-            // Fallback to async timeouts (slightly blocking but better than sync)
-            console.log('Using fallback analysis');
-            setTimeout(() => {
-                try {
-                    const tempo = this.analyzer.detectTempo(audioBuffer);
-                    this.elements.tempoValue.textContent = `${tempo} BPM`;
-                    console.log('Tempo detected:', tempo);
-                } catch (error) {
-                    console.error('Tempo detection error:', error);
-                    this.elements.tempoValue.textContent = 'Error';
+        // Whatever is still running belongs to the previous audio
+        this.cancelAnalysis();
+        
+        try {
+            await this.runAnalysis(audioBuffer, [this.beatTrackingTask(), { type: 'key' }], {
+                beats: (grid) => this.handleBeatGrid(grid),
+                key: (estimate) => {
+                    this.setKeyEstimate(estimate);
+                    console.log('Key detected:', estimate);
                 }
-            }, 100);
+            }, { text: '🔍 Analyzing audio...', color: 'blue' });
+            this.updateStatus('✅ Analysis complete!', 'green');
+        } catch (error) {
+            this.handleAnalysisError(error, 'Analysis');
+        }
+    }
 
-            setTimeout(() => {
+    // Tempo and beats within the configured BPM range; bpm forces the tempo (a picked candidate).
+    // The range and bpm count project beats; the tracker follows the pulse (see getTrackedPulse).
+    beatTrackingTask(bpm = null) {
+        const { beatsPerPulse, pulsesPerBar } = this.getTrackedPulse();
+        return {
+            type: 'beats',
+            options: {
+                beatsPerBar: pulsesPerBar,
+                minBPM: this.tempoRange.min / beatsPerPulse,
+                maxBPM: this.tempoRange.max / beatsPerPulse,
+                bpm: bpm ? bpm / beatsPerPulse : null
+            }
+        };
+    }
+    
+    // The pulse the beat tracker locks onto: the time signature's beat, except in compound
+    // meters, which are felt (and tracked) in dotted quarters - three eighth-note beats each
+    getTrackedPulse() {
+        const { beatsPerBar, beatUnit } = this.tempo;
+        const beatsPerPulse = Metronome.isCompound(beatsPerBar, beatUnit) ? 3 : 1;
+        return { beatsPerPulse, pulsesPerBar: beatsPerBar / beatsPerPulse };
+    }
+    
+    async requestBeatTracking(audioBuffer, bpm = null) {
+        try {
+            await this.runAnalysis(audioBuffer, [this.beatTrackingTask(bpm)], {
+                beats: (grid) => this.handleBeatGrid(grid)
+            });
+        } catch (error) {
+            this.beatRetrackPending = false;
+            this.handleAnalysisError(error, 'Tempo detection');
+        }
+    }
+    
+    // Analysis tasks ([{ type, options }]) run in the worker pool, or one by one on the
+    // main thread without it. handlers[type] gets each task's result as soon as it's ready;
+    // the progress bar (and status, { text, color }, when given) shows the progress.
+    // Resolves when every task is done.
+    async runAnalysis(audioBuffer, tasks, handlers, status = null) {
+        // Results only land while the loop they were computed for is still loaded (its base
+        // layer - re-rendering the mix doesn't make them stale) and only from the newest job
+        // for their task type, so an older re-track finishing late can't overwrite a newer one
+        const loop = this.layers[0];
+        const job = {};
+        tasks.forEach(task => {
+            this.latestAnalysis[task.type] = job;
+        });
+        const isCurrent = (type) => this.layers[0] === loop && this.latestAnalysis[type] === job;
+        
+        if (this.analysis) {
+            this.setAnalysisProgress(job, 0);
+            try {
+                return await this.analysis.run(audioBuffer, tasks, {
+                    onResult: (type, result) => {
+                        if (isCurrent(type)) handlers[type](result);
+                    },
+                    onProgress: (progress) => {
+                        this.setAnalysisProgress(job, progress);
+                        if (status) {
+                            this.updateStatus(`${status.text} ${Math.round(progress * 100)}%`, status.color);
+                        }
+                    }
+                });
+            } finally {
+                this.setAnalysisProgress(job, null);
+            }
+        }
+        
+        for (const task of tasks) {
+            // A timeout per task lets the page repaint in between
+            const result = await new Promise((resolve, reject) => setTimeout(() => {
                 try {
-                    const key = this.analyzer.detectKey(audioBuffer);
-                    this.elements.keyValue.textContent = key;
-                    console.log('Key detected:', key);
-                    this.updateStatus('✅ Analysis complete!', 'green');
+                    resolve(this.runAnalysisTask(audioBuffer, task));
                 } catch (error) {
-                    console.error('Key detection error:', error);
-                    this.elements.keyValue.textContent = 'Error';
-                    this.updateStatus('⚠️ Analysis had errors', 'orange');
+                    reject(error);
                 }
-            }, 200);
+            }, 100));
+            
+            // The loop was cleared or replaced meanwhile
+            if (this.layers[0] !== loop) return;
+            if (isCurrent(task.type)) handlers[task.type](result);
+        }
+    }
+    
+    // Main-thread fallback for one analysis task (same results as the worker)
+    runAnalysisTask(audioBuffer, task) {
+        const options = task.options || {};
+        switch (task.type) {
+            case 'tempo':
+                return this.analyzer.detectTempo(audioBuffer, options.minBPM, options.maxBPM);
+            case 'beats':
+                return this.analyzer.trackBeats(audioBuffer, options.beatsPerBar, options);
+            case 'key':
+                return this.analyzer.detectKey(audioBuffer);
+            case 'chords':
+                return this.analyzer.detectChords(audioBuffer, options.beats);
+            default:
+                throw new Error(`Unknown analysis task "${task.type}"`);
+        }
+    }
+    
+    cancelAnalysis() {
+        if (this.analysis) {
+            this.analysis.cancelAll();
+        }
+    }
+    
+    // Progress (0..1) of one analysis job, or null once it has ended. The bar shows the
+    // average over every running job and hides when the last one ends.
+    setAnalysisProgress(job, fraction) {
+        if (fraction === null) {
+            this.analysisProgress.delete(job);
+        } else {
+            this.analysisProgress.set(job, fraction);
+        }
+        
+        const running = [...this.analysisProgress.values()];
+        const average = running.reduce((sum, value) => sum + value, 0) / Math.max(1, running.length);
+        this.elements.analysisProgress.style.display = running.length > 0 ? 'block' : 'none';
+        this.elements.analysisProgressFill.style.width = `${Math.round(average * 100)}%`;
+    }
+    
+    // Cancelled jobs are expected; anything else is reported instead of leaving "Analyzing..." up
+    handleAnalysisError(error, what) {
+        if (error.name === 'AbortError') return;
+        
+        console.error(`${what} error:`, error);
+        if (error.task === 'key') {
+            this.elements.keyValue.textContent = 'Error';
+        } else if (error.task === 'beats') {
+            this.elements.tempoValue.textContent = 'Error';
         }
+        this.updateStatus(`⚠️ ${what} failed: ${error.message}`, 'orange');
+    }
+    
+    handleBeatGrid(grid) {
+        // Tracked pulses back to BPM in the project's beat unit (dotted quarters -> eighths in 6/8)
+        const { beatsPerPulse } = this.getTrackedPulse();
+        const toBeats = (bpm) => bpm ? Math.round(bpm * beatsPerPulse * 10) / 10 : bpm;
+        grid = {
+            ...grid,
+            bpm: toBeats(grid.bpm),
+            candidates: (grid.candidates || []).map(candidate => ({ ...candidate, bpm: toBeats(candidate.bpm) }))
+        };
+        
+        this.setDetectedTempo(grid.bpm);
+        this.setBeatGrid(grid);
+        console.log('Beats tracked:', grid.beats.length, 'at', grid.bpm, 'BPM');
+        
+        // A re-track on its own (not part of a full analysis) reports back here
+        if (this.beatRetrackPending) {
+            this.beatRetrackPending = false;
+            this.updateStatus(grid.bpm ? `✅ Tempo: ${grid.bpm} BPM` : '⚠️ No steady beat found', grid.bpm ? 'green' : 'orange');
+        }
+    }
+    
+    setTempoRange() {
+        const { min, max } = this.clampTempoRange({
+            min: parseFloat(this.elements.tempoRangeMin.value) || AudioLooperApp.MIN_BPM,
+            max: parseFloat(this.elements.tempoRangeMax.value) || AudioLooperApp.MAX_BPM
+        });
+        
+        this.tempoRange = { min, max };
+        this.elements.tempoRangeMin.value = min;
+        this.elements.tempoRangeMax.value = max;
+        this.saveSetting('tempoRange', this.tempoRange);
+        
+        if (this.loopAudioBuffer) {
+            this.updateStatus(`🔍 Re-detecting tempo between ${min} and ${max} BPM...`, 'blue');
+            this.beatRetrackPending = true;
+            this.requestBeatTracking(this.loopAudioBuffer);
+        }
+    }
+    
+    // The search range stays within the tempos the project accepts (setTempo), so any
+    // detected tempo can be used as is, and spans at least 20 BPM
+    clampTempoRange({ min, max }) {
+        min = Math.max(AudioLooperApp.MIN_BPM, Math.min(AudioLooperApp.MAX_BPM - 20, min));
+        max = Math.max(min + 20, Math.min(AudioLooperApp.MAX_BPM, max));
+        return { min, max };
+    }
+    
+    // Half-time, detected and double-time readings with their confidence; the one in use is highlighted
+    renderTempoCandidates() {
+        const container = this.elements.tempoCandidates;
+        container.innerHTML = '';
+        
+        // Half/double readings the project tempo can't take aren't offered
+        const candidates = (this.beatGrid ? this.beatGrid.candidates || [] : [])
+            .filter(candidate => candidate.bpm >= AudioLooperApp.MIN_BPM && candidate.bpm <= AudioLooperApp.MAX_BPM);
+        container.style.display = candidates.length > 1 ? 'flex' : 'none';
+        if (candidates.length < 2) return;
+        
+        const labels = { 0.5: '½×', 1: '', 2: '2×' };
+        candidates.forEach(candidate => {
+            const button = document.createElement('button');
+            button.className = 'tempo-candidate';
+            button.dataset.bpm = candidate.bpm;
+            button.textContent = `${labels[candidate.multiple]} ${candidate.bpm} · ${Math.round(candidate.confidence * 100)}%`.trim();
+            button.classList.toggle('active', Math.abs(candidate.bpm - this.detectedTempo) < candidate.bpm * 0.03);
+            container.appendChild(button);
+        });
+    }
+    
+    // Detected key with its confidence; the top three keys become buttons to switch to, the
+    // relative major/minor (same notes) marked so the ambiguity stays visible
+    setKeyEstimate(estimate) {
+        this.keyEstimate = estimate;
+        
+        const container = this.elements.keyCandidates;
+        container.innerHTML = '';
+        const candidates = estimate ? estimate.candidates : [];
+        container.style.display = candidates.length > 1 ? 'flex' : 'none';
+        candidates.forEach(candidate => {
+            const button = document.createElement('button');
+            button.className = 'key-candidate';
+            button.dataset.key = candidate.key;
+            button.textContent = `${candidate.key} · ${candidate.score.toFixed(2)}${candidate.relative ? ' (relative)' : ''}`;
+            button.title = 'Correlation with the key profile';
+            container.appendChild(button);
+        });
+        
+        const confidence = estimate ? estimate.confidence : null;
+        this.elements.keyConfidence.textContent = confidence !== null && confidence !== undefined
+            ? `${Math.round(confidence * 100)}%`
+            : '';
+        this.elements.keyConfidence.classList.toggle('low', confidence !== null && confidence < 0.4);
+        
+        this.selectKey(estimate ? estimate.key : null);
+    }
+    
+    selectKey(key) {
+        this.detectedKey = key;
+        this.elements.keyValue.textContent = key || '--';
+        this.displayScaleNotes(key);
+        
+        this.elements.keyCandidates.querySelectorAll('.key-candidate').forEach(button => {
+            button.classList.toggle('active', button.dataset.key === key);
+        });
+    }
+    
+    // Re-track the beats at a half/double-time reading the tracker didn't pick
+    selectTempoCandidate(bpm) {
+        if (!this.loopAudioBuffer || this.isRecording) return;
+        
+        this.updateStatus(`🔍 Tracking beats at ${bpm} BPM...`, 'blue');
+        this.beatRetrackPending = true;
+        this.requestBeatTracking(this.loopAudioBuffer, bpm);
     }
 
     enableControls() {
         this.elements.playPauseBtn.disabled = false;
+        this.elements.stopBtn.disabled = false;
         this.elements.overdubBtn.disabled = false;
         this.elements.clearBtn.disabled = false;
+        this.elements.saveProjectBtn.disabled = false;
+        this.elements.exportBundleBtn.disabled = false;
         this.elements.detectChordsBtn.style.display = 'flex';
         this.updateUndoRedoButtons();
     }
 
     disableControls() {
         this.elements.playPauseBtn.disabled = true;
+        this.elements.stopBtn.disabled = true;
         this.elements.overdubBtn.disabled = true;
         this.elements.undoBtn.disabled = true;
         this.elements.clearBtn.disabled = true;
+        this.elements.saveProjectBtn.disabled = true;
+        this.elements.exportBundleBtn.disabled = true;
         this.elements.detectChordsBtn.style.display = 'none';
     }
 
@@ -954,6 +1954,26 @@ class AudioLooperApp {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
     
+    displayChords(chords) {
+        this.detectedChords = chords; // Store chords for real-time display
+        this.currentChordIndex = -1;
+        this.renderChordLabels(chords); // Render floating chord labels
+        
+        // Render guitar diagrams
+        if (typeof renderGuitarDiagrams === 'function') {
+            renderGuitarDiagrams(chords);
+        }
+        
+        let chordsText = '';
+        chords.forEach(({ time, chord, confidence }) => {
+            chordsText += confidence !== undefined
+                ? `${time}: ${chord} (${Math.round(confidence * 100)}%)\n`
+                : `${time}: ${chord}\n`;
+        });
+        this.elements.chordsDisplay.textContent = chordsText || 'No chords detected';
+        this.elements.chordsContainer.style.display = 'block';
+    }
+    
     renderChordLabels(chords) {
         if (!chords || chords.length === 0 || !this.wavesurfer) {
             console.log('No chords to render');
@@ -979,19 +1999,20 @@ class AudioLooperApp {
             pill.dataset.chordIndex = index;
             pill.textContent = chord.chord;
             
+            // Unsure labels are dimmed; sessions saved before confidences have none
+            if (chord.confidence !== undefined) {
+                pill.title = `${chord.chord} - ${Math.round(chord.confidence * 100)}% confidence`;
+                pill.classList.toggle('low-confidence', chord.confidence < 0.4);
+            }
+            
             // Calculate position as percentage
             const position = (chord.timeInSeconds / duration) * 100;
             pill.style.left = `${position}%`;
             
             console.log(`Chord ${index}: ${chord.chord} at ${position.toFixed(2)}%`);
             
-            // Click to seek
-            pill.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (this.wavesurfer) {
-                    this.wavesurfer.seekTo(chord.timeInSeconds / duration);
-                }
-            });
+            // Click to seek, drag to move where the chord starts
+            pill.addEventListener('pointerdown', (e) => this.startChordDrag(e, index));
             
             layer.appendChild(pill);
         });
@@ -999,12 +2020,66 @@ class AudioLooperApp {
         console.log('Chord labels rendered successfully');
     }
     
+    startChordDrag(e, index) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const pill = e.currentTarget;
+        const rect = this.elements.chordLabelsLayer.getBoundingClientRect();
+        const duration = this.wavesurfer.getDuration();
+        const chords = this.detectedChords;
+        const start = chords[index].timeInSeconds;
+        
+        // A chord can't move past its neighbours
+        const min = index > 0 ? chords[index - 1].timeInSeconds : 0;
+        const max = index < chords.length - 1 ? chords[index + 1].timeInSeconds : duration;
+        let time = start;
+        let dragged = false;
+        
+        const move = (event) => {
+            if (!dragged && Math.abs(event.clientX - e.clientX) < 4) return;
+            dragged = true;
+            pill.classList.add('dragging');
+            
+            const target = this.snapTime((event.clientX - rect.left) / rect.width * duration);
+            if ((target > min || (index === 0 && target >= 0)) && target < max) {
+                time = target;
+                pill.style.left = `${(time / duration) * 100}%`;
+            }
+        };
+        
+        const up = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', up);
+            pill.classList.remove('dragging');
+            
+            if (!dragged) {
+                this.player.seek(start);
+            } else if (time !== start) {
+                this.moveChordBoundary(index, time);
+            }
+        };
+        
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', up);
+    }
+    
+    moveChordBoundary(index, time) {
+        const chord = this.detectedChords[index];
+        chord.timeInSeconds = time;
+        chord.time = `${time.toFixed(1)}s`;
+        
+        this.displayChords(this.detectedChords);
+        this.updateStatus(`🎼 ${chord.chord} now starts at ${this.formatTime(time)}`, 'purple');
+        this.autosaveProject();
+    }
+    
     updateCurrentChord() {
         if (!this.detectedChords || this.detectedChords.length === 0 || !this.wavesurfer) {
             return;
         }
         
-        const currentTime = this.wavesurfer.getCurrentTime();
+        const currentTime = this.player.getCurrentTime();
         
         // Find current chord based on time
         let currentChordIndex = -1;
@@ -1043,8 +2118,244 @@ class AudioLooperApp {
         }
     }
     
-    updateLoopLengthDisplay(seconds) {
-        this.elements.durationInfo.textContent = `Duration: ${seconds}s`;
+    // The tempo counts the time signature's beat unit: 6/8 at 120 BPM is six eighth-note clicks a bar
+    getBeatLength() {
+        return 60 / this.tempo.bpm;
+    }
+    
+    getBarLength() {
+        return this.tempo.beatsPerBar * this.getBeatLength();
+    }
+    
+    // Seconds per loop: the base layer once there is one, otherwise the bar setting
+    getLoopLength() {
+        if (this.layers.length > 0) return this.layers[0].duration;
+        return this.loopBars * this.getBarLength();
+    }
+    
+    updateLoopLengthDisplay() {
+        const seconds = this.getLoopLength();
+        const bars = seconds / this.getBarLength();
+        const meter = `${this.tempo.beatsPerBar}/${this.tempo.beatUnit}`;
+        
+        // A loaded file or unquantized free take doesn't have to land on the grid
+        const barsText = Math.abs(bars - Math.round(bars)) < 0.01
+            ? `${Math.round(bars)} bar${Math.round(bars) === 1 ? '' : 's'} of ${meter} at ${this.tempo.bpm} BPM`
+            : 'free length';
+        
+        this.elements.durationInfo.textContent = `Duration: ${seconds.toFixed(2)}s (${barsText})`;
+    }
+    
+    setLoopBars(bars) {
+        this.loopBars = Math.max(1, Math.min(64, bars || 1));
+        this.elements.loopBars.value = this.loopBars;
+        
+        // Update preset button active state
+        document.querySelectorAll('.loop-presets .preset-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.bars) === this.loopBars);
+        });
+        
+        this.updateLoopLengthDisplay();
+    }
+    
+    setTempo(changes) {
+        this.tempo = { ...this.tempo, ...changes };
+        this.tempo.bpm = Math.max(AudioLooperApp.MIN_BPM, Math.min(AudioLooperApp.MAX_BPM, this.tempo.bpm || 120));
+        
+        this.elements.tempoBpm.value = this.tempo.bpm;
+        this.elements.timeSignature.value = `${this.tempo.beatsPerBar}/${this.tempo.beatUnit}`;
+        this.updateLoopLengthDisplay();
+        this.renderGrid();
+    }
+    
+    // Tap tempo: average the last few intervals, ignoring taps that are way off the median
+    handleTapTempo() {
+        if (this.isRecording) return;
+        
+        const now = performance.now();
+        const lastTap = this.tapTimes[this.tapTimes.length - 1];
+        
+        // A long pause starts a new measurement
+        if (lastTap !== undefined && now - lastTap > 2000) {
+            this.tapTimes = [];
+        }
+        this.tapTimes.push(now);
+        this.tapTimes = this.tapTimes.slice(-8);
+        
+        if (this.tapTimes.length < 2) {
+            this.updateStatus('👆 Keep tapping...', 'blue');
+            return;
+        }
+        
+        const intervals = this.tapTimes.slice(1).map((time, i) => time - this.tapTimes[i]);
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const steady = intervals.filter(interval => Math.abs(interval - median) <= median * 0.25);
+        const average = steady.reduce((sum, interval) => sum + interval, 0) / steady.length;
+        
+        this.setTempo({ bpm: Math.round(60000 / average) });
+        this.updateStatus(`👆 Tap tempo: ${this.tempo.bpm} BPM (${this.tapTimes.length} taps)`, 'blue');
+    }
+    
+    setDetectedTempo(bpm) {
+        this.detectedTempo = bpm;
+        this.elements.tempoValue.textContent = bpm ? `${bpm} BPM` : '--';
+        this.elements.useDetectedTempoBtn.disabled = !bpm || this.isRecording;
+    }
+    
+    // Play along with a loaded file: the metronome (and the bar grid) take the file's tempo,
+    // and the metronome locks onto its first tracked downbeat
+    useDetectedTempo() {
+        if (!this.detectedTempo || this.isRecording) return;
+        
+        this.setTempo({ bpm: this.detectedTempo });
+        
+        const downbeats = this.beatGrid ? this.beatGrid.downbeats : [];
+        if (downbeats.length > 0) {
+            this.gridOffset = downbeats[0];
+            this.renderGrid();
+            this.updateStatus(`🥁 Tempo set to ${this.tempo.bpm} BPM, metronome aligned to the first downbeat`, 'green');
+        } else {
+            this.updateStatus(`🥁 Tempo set to ${this.tempo.bpm} BPM from the analysis`, 'green');
+        }
+    }
+    
+    setBeatGrid(grid) {
+        this.beatGrid = grid && grid.beats.length > 0 ? grid : null;
+        this.elements.beatGridValue.textContent = this.beatGrid
+            ? `${this.beatGrid.beats.length} beats, ${Math.round(this.beatGrid.confidence * 100)}% confidence`
+            : '--';
+        this.renderGrid();
+        this.renderTempoCandidates();
+    }
+    
+    setGridSettings(changes) {
+        Object.assign(this.gridSettings, changes);
+        this.saveSetting('grid', this.gridSettings);
+        this.renderGrid();
+    }
+    
+    // Beats across the loop as { time, bar, beat } (beat 0 = downbeat, bar 0 = pickup), from
+    // the project tempo starting at the first downbeat (gridOffset) or from the tracked beats
+    getGridBeats() {
+        const duration = this.wavesurfer ? this.wavesurfer.getDuration() : 0;
+        if (!this.loopAudioBuffer || !duration) return [];
+        
+        if (this.gridSettings.source === 'beats' && this.beatGrid) {
+            const downbeats = new Set(this.beatGrid.downbeats);
+            let bar = 0;
+            let beat = 1;
+            return this.beatGrid.beats.filter(time => time < duration).map(time => {
+                if (downbeats.has(time)) {
+                    bar++;
+                    beat = 0;
+                } else {
+                    beat++;
+                }
+                return { time, bar, beat };
+            });
+        }
+        
+        const beatLength = this.getBeatLength();
+        const beatsPerBar = this.tempo.beatsPerBar;
+        const beats = [];
+        for (let k = -Math.floor(this.gridOffset / beatLength); ; k++) {
+            const time = this.gridOffset + k * beatLength;
+            if (time >= duration - 1e-6) break;
+            
+            const bar = Math.floor(k / beatsPerBar);
+            beats.push({ time, bar: bar + 1, beat: k - bar * beatsPerBar });
+        }
+        return beats;
+    }
+    
+    // Times a seek or edit can snap to at the chosen resolution, loop start and end included
+    getSnapPoints() {
+        const beats = this.getGridBeats();
+        const duration = this.wavesurfer.getDuration();
+        const resolution = this.gridSettings.resolution;
+        const points = [0];
+        
+        beats.forEach((beat, i) => {
+            if (resolution === 'bar') {
+                if (beat.beat === 0) points.push(beat.time);
+                return;
+            }
+            
+            points.push(beat.time);
+            if (resolution === 'beat') return;
+            
+            // Subdivide towards the next beat (the last beat keeps the previous spacing)
+            const next = beats[i + 1];
+            const interval = next ? next.time - beat.time : (i > 0 ? beat.time - beats[i - 1].time : this.getBeatLength());
+            for (let step = 1; step < resolution; step++) {
+                points.push(beat.time + step * interval / resolution);
+            }
+        });
+        
+        points.push(duration);
+        return points;
+    }
+    
+    snapTime(time) {
+        if (!this.gridSettings.snap || !this.loopAudioBuffer) return time;
+        
+        let nearest = time;
+        let distance = Infinity;
+        this.getSnapPoints().forEach(point => {
+            if (Math.abs(point - time) < distance) {
+                distance = Math.abs(point - time);
+                nearest = point;
+            }
+        });
+        return nearest;
+    }
+    
+    // Bar/beat ruler above the waveform and gridlines over it, thinned out when they get dense
+    renderGrid() {
+        const layer = this.elements.beatGridLayer;
+        const ruler = this.elements.beatRuler;
+        layer.innerHTML = '';
+        ruler.innerHTML = '';
+        
+        const beats = this.getGridBeats();
+        if (beats.length === 0) return;
+        
+        const duration = this.wavesurfer.getDuration();
+        const width = ruler.clientWidth || layer.clientWidth || 1;
+        const beatSpacing = beats.length > 1 ? (beats[1].time - beats[0].time) / duration * width : width;
+        const barSpacing = beatSpacing * this.tempo.beatsPerBar;
+        const showBeats = beatSpacing >= 6;
+        const labelEvery = Math.max(1, Math.ceil(30 / barSpacing));
+        
+        beats.forEach(beat => {
+            const isBar = beat.beat === 0;
+            if (!isBar && !showBeats) return;
+            
+            const position = `${(beat.time / duration) * 100}%`;
+            
+            const line = document.createElement('div');
+            line.className = isBar ? 'beat-line downbeat' : 'beat-line';
+            line.style.left = position;
+            layer.appendChild(line);
+            
+            const tick = document.createElement('div');
+            tick.className = isBar ? 'ruler-tick bar' : 'ruler-tick';
+            tick.style.left = position;
+            if (isBar && (beat.bar - 1) % labelEvery === 0) {
+                tick.textContent = beat.bar;
+            }
+            ruler.appendChild(tick);
+        });
+    }
+    
+    setLoopControlsDisabled(disabled) {
+        this.elements.loopBars.disabled = disabled;
+        this.elements.tempoBpm.disabled = disabled;
+        this.elements.tapTempoBtn.disabled = disabled;
+        this.elements.useDetectedTempoBtn.disabled = disabled || !this.detectedTempo;
+        this.elements.timeSignature.disabled = disabled;
+        document.querySelectorAll('.loop-presets .preset-btn').forEach(btn => btn.disabled = disabled);
     }
     
     displayScaleNotes(keySignature) {
@@ -1053,7 +2364,7 @@ class AudioLooperApp {
             return;
         }
         
-        // Parse key signature (e.g., "C Major", "A Minor")
+        // Parse key signature (e.g., "C Major", "A Minor", "D Dorian")
         const parts = keySignature.split(' ');
         if (parts.length !== 2) {
             console.warn('Invalid key signature format:', keySignature);
@@ -1061,7 +2372,7 @@ class AudioLooperApp {
         }
         
         const rootNote = parts[0];
-        const mode = parts[1]; // "Major" or "Minor"
+        const mode = parts[1]; // "Major", "Minor" or a mode name
         
         // Get scale notes
         const scaleNotes = this.getScaleNotes(rootNote, mode);
@@ -1098,9 +2409,16 @@ class AudioLooperApp {
         // Define scale intervals (semitones from root)
         // Major: W-W-H-W-W-W-H (2-2-1-2-2-2-1)
         // Minor: W-H-W-W-H-W-W (2-1-2-2-1-2-2)
-        const intervals = mode === 'Major' 
-            ? [0, 2, 4, 5, 7, 9, 11] // Major scale
-            : [0, 2, 3, 5, 7, 8, 10]; // Natural minor scale
+        // The modes differ from major or natural minor in one degree
+        const scales = {
+            'Major': [0, 2, 4, 5, 7, 9, 11],
+            'Minor': [0, 2, 3, 5, 7, 8, 10], // Natural minor scale
+            'Dorian': [0, 2, 3, 5, 7, 9, 10],
+            'Phrygian': [0, 1, 3, 5, 7, 8, 10],
+            'Lydian': [0, 2, 4, 6, 7, 9, 11],
+            'Mixolydian': [0, 2, 4, 5, 7, 9, 10]
+        };
+        const intervals = scales[mode] || scales['Minor'];
         
         // Build scale
         const scale = intervals.map(interval => {
@@ -1111,61 +2429,79 @@ class AudioLooperApp {
         return scale;
     }
     
-    mixLayers() {
+    // Gain a layer actually gets after mute and solo rules are applied:
+    // if any layer is soloed, every non-soloed layer is silent
+    getEffectiveLayerGain(index) {
+        if (this.layerMuted[index]) return 0;
+        
+        const anySoloed = this.layerSoloed.some(soloed => soloed);
+        if (anySoloed && !this.layerSoloed[index]) return 0;
+        
+        return this.layerVolumes[index];
+    }
+    
+    // Render the mix offline through the same graph used for playback (gain, pan, effects,
+    // nudge, master bus), then make sure the result can never clip without us saying so
+    async mixLayers() {
         if (this.layers.length === 0) return null;
-        if (this.layers.length === 1) return this.layers[0];
         
-        // Initialize audio context if needed
-        if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 44100
-            });
+        this.syncPlayerLayers();
+        const render = () => this.player.renderLoop((mixer) => this.applyMixerState(mixer));
+        let mix = await render();
+        let loudness = MasterBus.measureLoudness(mix);
+        
+        // Loudness normalization: adjust the gain and render once more if we're off target
+        const previousGain = this.masterNormalizationGain;
+        if (this.masterSettings.normalize && isFinite(loudness)) {
+            const correction = MasterBus.dbToGain(this.masterSettings.targetLufs - loudness);
+            this.masterNormalizationGain = Math.min(previousGain * correction, MasterBus.dbToGain(24));
+        } else if (!this.masterSettings.normalize) {
+            this.masterNormalizationGain = 1.0;
         }
         
-        // Get the longest duration and maximum channels
-        let maxLength = 0;
-        let maxChannels = 1;
-        
-        this.layers.forEach(layer => {
-            maxLength = Math.max(maxLength, layer.length);
-            maxChannels = Math.max(maxChannels, layer.numberOfChannels);
-        });
+        if (Math.abs(MasterBus.gainToDb(this.masterNormalizationGain / previousGain)) > 0.1) {
+            this.applyMixerState();
+            mix = await render();
+            loudness = MasterBus.measureLoudness(mix);
+        }
         
-        // Create a new buffer for the mixed audio
-        const mixedBuffer = this.audioContext.createBuffer(
-            maxChannels,
-            maxLength,
-            this.audioContext.sampleRate
-        );
+        // Safety net: the rendered mix is brickwall-limited, or we warn that it clips
+        const peakDb = MasterBus.gainToDb(MasterBus.getPeak(mix));
+        let warning = null;
+        if (this.masterSettings.limiter) {
+            const reduction = MasterBus.limitBuffer(mix, this.masterSettings.ceiling);
+            if (reduction > 3) {
+                warning = `⚠️ Mix limited by ${reduction.toFixed(1)} dB - consider lowering the master`;
+            }
+        } else if (peakDb > 0) {
+            warning = `⚠️ Mix clips by +${peakDb.toFixed(1)} dB - enable the limiter or lower the master`;
+        }
         
-        // Mix each channel
-        for (let channel = 0; channel < maxChannels; channel++) {
-            const mixedData = mixedBuffer.getChannelData(channel);
-            
-            // Mix all layers
-            this.layers.forEach((layer, layerIndex) => {
-                // Skip if muted
-                if (this.layerMuted[layerIndex]) return;
-                
-                const volume = this.layerVolumes[layerIndex];
-                const channelData = layer.getChannelData(Math.min(channel, layer.numberOfChannels - 1));
-                
-                for (let i = 0; i < channelData.length; i++) {
-                    mixedData[i] += channelData[i] * volume;
-                }
-            });
+        this.updateMasterLoudness(loudness, MasterBus.gainToDb(MasterBus.getPeak(mix)));
+        if (warning) {
+            this.updateStatus(warning, 'orange');
         }
         
-        return mixedBuffer;
+        return mix;
+    }
+    
+    updateMasterLoudness(loudness, peakDb) {
+        const lufsText = isFinite(loudness) ? `${loudness.toFixed(1)} LUFS` : '--';
+        const peakText = isFinite(peakDb) ? `${peakDb.toFixed(1)} dBFS peak` : '--';
+        this.elements.masterLoudness.textContent = `Mix loudness: ${lufsText} · ${peakText}`;
     }
     
     updateLayerControls() {
         if (this.layers.length === 0) {
             this.elements.layersSection.style.display = 'none';
+            this.elements.masterSection.style.display = 'none';
+            this.elements.exportSection.style.display = 'none';
             return;
         }
         
         this.elements.layersSection.style.display = 'block';
+        this.elements.masterSection.style.display = 'flex';
+        this.elements.exportSection.style.display = 'flex';
         this.elements.layersList.innerHTML = '';
         
         this.layers.forEach((layer, index) => {
@@ -1189,6 +2525,27 @@ class AudioLooperApp {
                         data-layer="${index}">
                     ${this.layerMuted[index] ? 'Muted' : 'Mute'}
                 </button>
+                <button class="layer-solo-btn ${this.layerSoloed[index] ? 'soloed' : ''}" 
+                        data-layer="${index}" title="Solo">S</button>
+                <label class="layer-pan" title="Pan (double-click to center)">
+                    <span>L</span>
+                    <input type="range" class="layer-pan-slider" 
+                           data-layer="${index}" 
+                           min="-100" max="100" step="1" 
+                           value="${Math.round((this.layerPans[index] || 0) * 100)}">
+                    <span>R</span>
+                </label>
+                ${index > 0 ? `
+                <label class="layer-nudge" title="Nudge layer timing (ms)">
+                    <span>⇆</span>
+                    <input type="number" class="layer-nudge-input" 
+                           data-layer="${index}" 
+                           min="-250" max="250" step="1" 
+                           value="${this.layerOffsets[index] || 0}">
+                </label>` : ''}
+                <button class="layer-fx-btn ${this.hasActiveEffects(index) ? 'active' : ''}" 
+                        data-layer="${index}" title="Effects">FX</button>
+                ${this.renderEffectsPanel(index)}
             `;
             
             this.elements.layersList.appendChild(layerDiv);
@@ -1202,6 +2559,192 @@ class AudioLooperApp {
         document.querySelectorAll('.layer-mute-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.handleLayerMuteToggle(e));
         });
+        
+        document.querySelectorAll('.layer-solo-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleLayerSoloToggle(e));
+        });
+        
+        document.querySelectorAll('.layer-pan-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => this.handleLayerPanChange(e));
+            slider.addEventListener('dblclick', (e) => {
+                e.target.value = 0;
+                this.handleLayerPanChange(e);
+            });
+        });
+        
+        document.querySelectorAll('.layer-nudge-input').forEach(input => {
+            input.addEventListener('change', (e) => this.handleLayerNudgeChange(e));
+        });
+        
+        document.querySelectorAll('.layer-fx-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleEffectsPanelToggle(e));
+        });
+        
+        document.querySelectorAll('.fx-enable').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => this.handleEffectToggle(e));
+        });
+        
+        document.querySelectorAll('.fx-param-input').forEach(input => {
+            const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, (e) => this.handleEffectParamChange(e));
+            
+            const { effect, param } = input.dataset;
+            if (LayerEffects.CONTROLS[effect].params.find(p => p.key === param).applyOnRelease) {
+                input.addEventListener('change', (e) => this.handleEffectParamChange(e));
+            }
+        });
+    }
+    
+    hasActiveEffects(index) {
+        const settings = this.layerEffects[index];
+        return !!settings && Object.values(settings).some(effect => effect.enabled);
+    }
+    
+    formatEffectValue(value, unit) {
+        return `${value}${unit}`;
+    }
+    
+    // Build the expandable effects panel for one layer from LayerEffects.CONTROLS
+    renderEffectsPanel(index) {
+        const settings = this.layerEffects[index] || LayerEffects.defaultSettings();
+        const isOpen = this.openEffectsPanels.has(index);
+        
+        const units = Object.entries(LayerEffects.CONTROLS).map(([effectKey, effect]) => {
+            const params = effect.params.map(param => {
+                const value = settings[effectKey][param.key];
+                const data = `data-layer="${index}" data-effect="${effectKey}" data-param="${param.key}"`;
+                
+                if (param.options) {
+                    const options = param.options.map(option =>
+                        `<option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`
+                    ).join('');
+                    return `
+                        <label class="fx-param">
+                            <span>${param.label}</span>
+                            <select class="fx-param-input" ${data}>${options}</select>
+                        </label>`;
+                }
+                
+                return `
+                    <label class="fx-param">
+                        <span>${param.label}</span>
+                        <input type="range" class="fx-param-input" ${data} 
+                               min="${param.min}" max="${param.max}" step="${param.step}" value="${value}">
+                        <span class="fx-param-value">${this.formatEffectValue(value, param.unit)}</span>
+                    </label>`;
+            }).join('');
+            
+            return `
+                <div class="fx-unit">
+                    <label class="fx-header">
+                        <input type="checkbox" class="fx-enable" data-layer="${index}" data-effect="${effectKey}" 
+                               ${settings[effectKey].enabled ? 'checked' : ''}>
+                        <span>${effect.label}</span>
+                    </label>
+                    ${params}
+                </div>`;
+        }).join('');
+        
+        return `<div class="layer-fx-panel" style="display: ${isOpen ? 'grid' : 'none'};">${units}</div>`;
+    }
+    
+    handleEffectsPanelToggle(e) {
+        const layerIndex = parseInt(e.target.dataset.layer);
+        const panel = e.target.parentElement.querySelector('.layer-fx-panel');
+        
+        if (this.openEffectsPanels.has(layerIndex)) {
+            this.openEffectsPanels.delete(layerIndex);
+            panel.style.display = 'none';
+        } else {
+            this.openEffectsPanels.add(layerIndex);
+            panel.style.display = 'grid';
+        }
+    }
+    
+    handleEffectToggle(e) {
+        const layerIndex = parseInt(e.target.dataset.layer);
+        const effectKey = e.target.dataset.effect;
+        
+        this.layerEffects[layerIndex][effectKey].enabled = e.target.checked;
+        
+        const fxButton = e.target.closest('.layer-control').querySelector('.layer-fx-btn');
+        fxButton.classList.toggle('active', this.hasActiveEffects(layerIndex));
+        
+        // Apply live, redraw the waveform when the change settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
+    }
+    
+    handleEffectParamChange(e) {
+        const { layer, effect: effectKey, param: paramKey } = e.target.dataset;
+        const layerIndex = parseInt(layer);
+        const param = LayerEffects.CONTROLS[effectKey].params.find(p => p.key === paramKey);
+        const value = param.options ? e.target.value : parseFloat(e.target.value);
+        
+        this.layerEffects[layerIndex][effectKey][paramKey] = value;
+        
+        // Update value display
+        const valueDisplay = e.target.nextElementSibling;
+        if (valueDisplay) {
+            valueDisplay.textContent = this.formatEffectValue(value, param.unit);
+        }
+        
+        // Costly parameters only follow the drag on screen and apply on release ('change')
+        if (param.applyOnRelease && e.type === 'input') return;
+        
+        // Apply live, redraw the waveform when the knob settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
+    }
+    
+    // Push the current layers (and their nudges) into the live playback graph
+    syncPlayerLayers() {
+        this.getAudioContext();
+        this.player.loadLayers(this.layers, this.layerOffsets.map(ms => (ms || 0) / 1000));
+        this.applyMixerState();
+    }
+    
+    // Apply volume/mute/solo/pan/effects to a mixer. Defaults to the live mixer, where
+    // changes take effect immediately during playback; also used for offline renders.
+    applyMixerState(mixer = this.player.mixer) {
+        if (!mixer) return;
+        
+        mixer.master.apply(this.masterSettings, this.masterNormalizationGain);
+        
+        this.layers.forEach((layer, index) => {
+            mixer.setGain(index, this.getEffectiveLayerGain(index));
+            mixer.setPan(index, this.layerPans[index] || 0);
+            mixer.setEffects(index, this.layerEffects[index] || LayerEffects.defaultSettings());
+        });
+    }
+    
+    // Re-render the waveform once the mix has stopped changing
+    scheduleWaveformRedraw(delay = 300) {
+        clearTimeout(this.waveformRedrawTimer);
+        this.waveformRedrawTimer = setTimeout(() => {
+            this.waveformRedrawTimer = null;
+            this.remix();
+        }, delay);
+    }
+    
+    // Re-renders the mix and its waveform. A mix that finishes after the loop was cleared or
+    // another session loaded is dropped. Returns whether the new mix is showing.
+    async remix() {
+        const generation = this.mixGeneration;
+        try {
+            const mix = await this.mixLayers();
+            if (generation !== this.mixGeneration) return false;
+            
+            this.loopAudioBuffer = mix;
+            await this.loadAudioToWaveform(mix);
+            return true;
+        } catch (error) {
+            console.error('Error mixing layers:', error);
+            if (generation === this.mixGeneration) {
+                this.updateStatus('❌ Failed to update the mix', 'red');
+            }
+            return false;
+        }
     }
     
     handleLayerVolumeChange(e) {
@@ -1214,9 +2757,9 @@ class AudioLooperApp {
         const volumeDisplay = e.target.nextElementSibling;
         volumeDisplay.textContent = `${Math.round(volume * 100)}%`;
         
-        // Re-mix and update waveform
-        this.loopAudioBuffer = this.mixLayers();
-        this.loadAudioToWaveform(this.loopAudioBuffer);
+        // Apply live, redraw the waveform when the fader settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
     }
     
     handleLayerMuteToggle(e) {
@@ -1233,12 +2776,270 @@ class AudioLooperApp {
             e.target.textContent = 'Mute';
         }
         
+        // Apply live, redraw the waveform when the change settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
+    }
+    
+    handleLayerSoloToggle(e) {
+        const layerIndex = parseInt(e.target.dataset.layer);
+        
+        this.layerSoloed[layerIndex] = !this.layerSoloed[layerIndex];
+        e.target.classList.toggle('soloed', this.layerSoloed[layerIndex]);
+        
+        // Apply live, redraw the waveform when the change settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
+    }
+    
+    handleLayerPanChange(e) {
+        const layerIndex = parseInt(e.target.dataset.layer);
+        
+        this.layerPans[layerIndex] = parseFloat(e.target.value) / 100;
+        
+        // Apply live, redraw the waveform when the knob settles
+        this.applyMixerState();
+        this.scheduleWaveformRedraw();
+    }
+    
+    async handleLayerNudgeChange(e) {
+        const layerIndex = parseInt(e.target.dataset.layer);
+        const offset = Math.max(-250, Math.min(250, parseInt(e.target.value) || 0));
+        
+        e.target.value = offset;
+        this.layerOffsets[layerIndex] = offset;
+        
         // Re-mix and update waveform
-        this.loopAudioBuffer = this.mixLayers();
-        this.loadAudioToWaveform(this.loopAudioBuffer);
+        await this.remix();
+    }
+    
+    // Raw PCM of every layer, one Float32Array per channel
+    getLayerAudio() {
+        return {
+            layers: this.layers.map(buffer => ({
+                sampleRate: buffer.sampleRate,
+                channels: Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch))
+            }))
+        };
+    }
+    
+    createLayerBuffers(audio) {
+        const ctx = this.getAudioContext();
+        
+        return audio.layers.map(({ sampleRate, channels }) => {
+            const buffer = ctx.createBuffer(channels.length, channels[0].length, sampleRate);
+            channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+            return buffer;
+        });
+    }
+    
+    updateProjectName() {
+        this.elements.projectName.value = this.currentProject ? this.currentProject.name : '';
+    }
+    
+    saveProject(name) {
+        const save = this.projectSaveQueue.then(() => this.writeProject(name));
+        this.projectSaveQueue = save.catch(() => {});
+        return save;
+    }
+    
+    async writeProject(name) {
+        const record = await this.projectStore.save({
+            id: this.currentProject ? this.currentProject.id : null,
+            createdAt: this.currentProject ? this.currentProject.createdAt : null,
+            name,
+            layerCount: this.layers.length,
+            duration: this.layers[0].duration,
+            ...this.getSessionState()
+        }, this.getLayerAudio());
+        
+        this.currentProject = { id: record.id, name: record.name, createdAt: record.createdAt };
+        this.updateProjectName();
+        await this.refreshProjectList();
+        return record;
+    }
+    
+    async handleProjectSave() {
+        if (this.layers.length === 0) return;
+        
+        const name = this.elements.projectName.value.trim() || `Loop ${new Date().toLocaleString()}`;
+        
+        try {
+            await this.saveProject(name);
+            this.updateStatus(`💾 Saved: ${name}`, 'green');
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            this.updateStatus('❌ Failed to save project', 'red');
+        }
+    }
+    
+    // Keep the open project in sync after every overdub and undo (creating one if needed)
+    async autosaveProject() {
+        if (this.layers.length === 0) return;
+        
+        const name = this.currentProject
+            ? this.currentProject.name
+            : (this.elements.projectName.value.trim() || `Loop ${new Date().toLocaleString()}`);
+        
+        try {
+            await this.saveProject(name);
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+            this.updateStatus('⚠️ Autosave failed - use Save to retry', 'orange');
+        }
+    }
+    
+    async refreshProjectList() {
+        let projects = [];
+        try {
+            projects = await this.projectStore.list();
+        } catch (error) {
+            console.warn('Could not load projects:', error);
+        }
+        
+        const list = this.elements.projectsList;
+        list.innerHTML = '';
+        
+        if (projects.length === 0) {
+            list.innerHTML = '<p class="projects-empty">No saved projects yet</p>';
+            return;
+        }
+        
+        projects.forEach(project => {
+            const item = document.createElement('div');
+            item.className = 'project-item';
+            if (this.currentProject && this.currentProject.id === project.id) {
+                item.classList.add('current');
+            }
+            
+            const layerText = `${project.layerCount} layer${project.layerCount === 1 ? '' : 's'}`;
+            const tempoText = project.bpm ? ` · ${project.bpm} BPM` : '';
+            
+            item.innerHTML = `
+                <div class="project-info">
+                    <span class="project-name"></span>
+                    <span class="project-meta">${layerText} · ${this.formatTime(project.duration)}${tempoText} · ${new Date(project.updatedAt).toLocaleDateString()}</span>
+                </div>
+                <div class="project-actions">
+                    <button class="project-action-btn" data-action="open" data-id="${project.id}" title="Open">📂</button>
+                    <button class="project-action-btn" data-action="rename" data-id="${project.id}" title="Rename">✏️</button>
+                    <button class="project-action-btn" data-action="duplicate" data-id="${project.id}" title="Duplicate">📄</button>
+                    <button class="project-action-btn" data-action="delete" data-id="${project.id}" title="Delete">🗑️</button>
+                </div>
+            `;
+            // Project names are user input - never parse them as HTML
+            item.querySelector('.project-name').textContent = project.name;
+            
+            list.appendChild(item);
+        });
+    }
+    
+    async handleProjectAction(e) {
+        const button = e.target.closest('.project-action-btn');
+        if (!button) return;
+        
+        const { action, id } = button.dataset;
+        
+        try {
+            switch (action) {
+                case 'open':
+                    await this.handleProjectOpen(id);
+                    break;
+                case 'rename':
+                    await this.handleProjectRename(id);
+                    break;
+                case 'duplicate':
+                    await this.handleProjectDuplicate(id);
+                    break;
+                case 'delete':
+                    await this.handleProjectDelete(id);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Project ${action} failed:`, error);
+            this.updateStatus(`❌ Could not ${action} project: ${error.message}`, 'red');
+        }
+    }
+    
+    async handleProjectOpen(id) {
+        if (this.isRecording) {
+            this.updateStatus('⚠️ Cannot open a project while recording', 'orange');
+            return;
+        }
+        
+        if (this.layers.length > 0 && !this.currentProject &&
+            !confirm('The current loop has not been saved. Open the project anyway?')) {
+            return;
+        }
+        
+        this.updateStatus('📂 Opening project...', 'blue');
+        
+        const saved = await this.projectStore.load(id);
+        if (!saved) {
+            throw new Error('Project not found');
+        }
+        
+        const { project, audio } = saved;
+        this.currentProject = { id: project.id, name: project.name, createdAt: project.createdAt };
+        this.updateProjectName();
+        
+        await this.loadSession(this.createLayerBuffers(audio), project);
+        await this.refreshProjectList();
+        this.updateStatus(`✅ Opened: ${project.name}`, 'green');
+    }
+    
+    async handleProjectRename(id) {
+        const projects = await this.projectStore.list();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+        
+        const name = prompt('Rename project:', project.name);
+        if (!name || !name.trim()) return;
+        
+        await this.projectStore.rename(id, name.trim());
+        if (this.currentProject && this.currentProject.id === id) {
+            this.currentProject.name = name.trim();
+            this.updateProjectName();
+        }
+        
+        await this.refreshProjectList();
+        this.updateStatus(`✏️ Renamed to: ${name.trim()}`, 'green');
+    }
+    
+    async handleProjectDuplicate(id) {
+        const projects = await this.projectStore.list();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+        
+        const copy = await this.projectStore.duplicate(id, `${project.name} (copy)`);
+        await this.refreshProjectList();
+        this.updateStatus(`📄 Duplicated as: ${copy.name}`, 'green');
+    }
+    
+    async handleProjectDelete(id) {
+        const projects = await this.projectStore.list();
+        const project = projects.find(p => p.id === id);
+        if (!project) return;
+        
+        if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+        
+        await this.projectStore.delete(id);
+        
+        // The loop stays loaded, it just isn't backed by a project any more
+        if (this.currentProject && this.currentProject.id === id) {
+            this.currentProject = null;
+            this.updateProjectName();
+        }
+        
+        await this.refreshProjectList();
+        this.updateStatus(`🗑️ Deleted: ${project.name}`, 'green');
     }
 }
 
+// Project tempo limits; the tempo search range stays inside them
+AudioLooperApp.MIN_BPM = 40;
+AudioLooperApp.MAX_BPM = 240;
+
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new AudioLooperApp();
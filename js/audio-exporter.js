@@ -0,0 +1,101 @@
+// Audio Exporter Module - encodes offline-rendered mixes and stems for download
+// WAV is written by AudioPlayer.audioBufferToBlob. Compressed formats go through
+// MediaRecorder: WebCodecs' AudioEncoder only produces raw packets with no container,
+// so MediaRecorder is the one browser path that yields a playable file.
+class AudioExporter {
+    constructor(player) {
+        this.player = player;
+    }
+
+    // Formats this browser can produce, WAV first
+    static getFormats() {
+        return AudioExporter.FORMATS.filter(format =>
+            !format.mimeType || AudioExporter.isSupported(format.mimeType)
+        );
+    }
+
+    static isSupported(mimeType) {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof MediaRecorder.isTypeSupported === 'function' &&
+            MediaRecorder.isTypeSupported(mimeType);
+    }
+
+    static getFormat(id) {
+        return AudioExporter.FORMATS.find(format => format.id === id) || AudioExporter.FORMATS[0];
+    }
+
+    static fileName(name, suffix, format) {
+        const safe = (name || 'loop').replace(/[\\/:*?"<>|]+/g, '').trim() || 'loop';
+        return `${safe}-${suffix}.${format.extension}`;
+    }
+
+    async encode(audioBuffer, format) {
+        if (format.bitDepth) {
+            return this.player.audioBufferToBlob(audioBuffer, format.bitDepth);
+        }
+        return this.encodeCompressed(audioBuffer, format.mimeType);
+    }
+
+    // MediaRecorder can only encode a live stream, so the rendered buffer is played
+    // silently (never reaching the speakers) into a stream destination in real time
+    async encodeCompressed(audioBuffer, mimeType) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        let ctx;
+        try {
+            ctx = new AudioContextClass({ sampleRate: audioBuffer.sampleRate });
+        } catch (error) {
+            // Some browsers refuse unusual rates - the encoder resamples anyway
+            ctx = new AudioContextClass();
+        }
+        
+        try {
+            if (ctx.state === 'suspended') {
+                await ctx.resume();
+            }
+            
+            const destination = ctx.createMediaStreamDestination();
+            destination.channelCount = audioBuffer.numberOfChannels;
+            
+            const source = ctx.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(destination);
+            
+            const recorder = new MediaRecorder(destination.stream, {
+                mimeType,
+                audioBitsPerSecond: AudioExporter.COMPRESSED_BITRATE
+            });
+            const chunks = [];
+            
+            return await new Promise((resolve, reject) => {
+                recorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) chunks.push(event.data);
+                };
+                recorder.onstop = () => resolve(new Blob(chunks, { type: mimeType }));
+                recorder.onerror = (event) => reject(event.error || new Error('Encoding failed'));
+                
+                // Let the encoder flush the last frames before stopping
+                source.onended = () => setTimeout(() => recorder.stop(), 100);
+                
+                recorder.start();
+                source.start();
+            });
+        } finally {
+            ctx.close();
+        }
+    }
+}
+
+AudioExporter.FORMATS = [
+    { id: 'wav16', label: 'WAV 16-bit', extension: 'wav', bitDepth: 16 },
+    { id: 'wav24', label: 'WAV 24-bit', extension: 'wav', bitDepth: 24 },
+    { id: 'wav32f', label: 'WAV 32-bit float', extension: 'wav', bitDepth: 32 },
+    { id: 'opus-webm', label: 'Opus (WebM)', extension: 'webm', mimeType: 'audio/webm;codecs=opus' },
+    { id: 'opus-ogg', label: 'Opus (Ogg)', extension: 'ogg', mimeType: 'audio/ogg;codecs=opus' },
+    { id: 'aac-m4a', label: 'AAC (M4A)', extension: 'm4a', mimeType: 'audio/mp4' }
+];
+
+AudioExporter.SAMPLE_RATES = [44100, 48000, 88200, 96000];
+AudioExporter.COMPRESSED_BITRATE = 192000;
+
+// Export for use in main app
+window.AudioExporter = AudioExporter;
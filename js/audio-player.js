@@ -1,12 +1,20 @@
-// Audio Player Module with Progress Tracking
+// Audio Player Module - Gapless Loop Playback Engine
+// Each layer gets its own looping source feeding a LayerMixer channel strip, so
+// volume/mute changes apply live without re-rendering the mix.
 class AudioPlayer {
     constructor() {
         this.audioContext = null;
-        this.sourceNode = null;
-        this.audioBuffer = null;
-        this.startTime = 0;
-        this.pauseTime = 0;
+        this.mixer = null;
+        this.sourceBuffers = []; // Layer buffers as handed to loadLayers()
+        this.layers = []; // Layer buffers, padded to the loop length
+        this.layerOffsets = []; // Per-layer timing nudge in seconds
+        this.voices = []; // Currently playing { source, gain } pairs, one per layer
+        this.duration = 0; // Loop length in seconds
+        this.startTime = 0; // AudioContext time that corresponds to loop position 0
+        this.pauseTime = 0; // Loop position (seconds) while stopped or paused
         this.isPlaying = false;
+        this.isLooping = false;
+        this.fadeTime = 0.005; // 5ms fades on start/stop/seek
         this.animationFrame = null;
         this.onProgressCallback = null;
         this.onEndCallback = null;
@@ -18,33 +26,117 @@ class AudioPlayer {
                 sampleRate: 44100
             });
         }
+        
+        if (!this.mixer || this.mixer.audioContext !== this.audioContext) {
+            this.mixer = new LayerMixer(this.audioContext);
+        }
     }
 
     loadBuffer(audioBuffer) {
-        this.audioBuffer = audioBuffer;
+        this.loadLayers([audioBuffer]);
+    }
+
+    // Swap in a new set of layers. If we are playing, continue from the same position.
+    // offsets: per-layer nudge in seconds (positive = later)
+    loadLayers(buffers, offsets = []) {
         this.initialize();
+        
+        const unchanged = buffers.length === this.sourceBuffers.length &&
+            buffers.every((buffer, i) => buffer === this.sourceBuffers[i]) &&
+            buffers.every((buffer, i) => (offsets[i] || 0) === (this.layerOffsets[i] || 0));
+        if (unchanged) return;
+        
+        const position = this.getCurrentTime();
+        
+        this.sourceBuffers = [...buffers];
+        this.layerOffsets = buffers.map((buffer, i) => offsets[i] || 0);
+        this.layers = this.padToLoopLength(buffers);
+        this.duration = this.layers.length > 0 ? this.layers[0].duration : 0;
+        this.mixer.setChannelCount(this.layers.length);
+        
+        if (this.isPlaying) {
+            this.startSource(0, position);
+        } else {
+            this.pauseTime = Math.min(this.pauseTime, this.duration);
+        }
+    }
+
+    // Layers can differ slightly in length - pad them all to the longest so they loop together
+    padToLoopLength(buffers) {
+        const length = Math.max(0, ...buffers.map(buffer => buffer.length));
+        
+        return buffers.map(buffer => {
+            if (buffer.length === length) return buffer;
+            
+            const padded = this.audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                padded.getChannelData(channel).set(buffer.getChannelData(channel));
+            }
+            return padded;
+        });
     }
 
-    play(onProgress, onEnd) {
-        if (!this.audioBuffer) {
+    // when: AudioContext time to start at (0 = now), loop: repeat the layers until stopped,
+    // offset: loop position to start from
+    play(onProgress, onEnd, when = 0, loop = false, offset = 0) {
+        if (this.layers.length === 0) {
             console.error('No audio buffer loaded');
             return;
         }
 
-        this.stop(); // Stop any existing playback
         this.initialize();
 
         this.onProgressCallback = onProgress;
         this.onEndCallback = onEnd;
+        this.isLooping = loop;
+
+        this.startSource(when, offset);
+        this.isPlaying = true;
+
+        // Start progress tracking
+        if (!this.animationFrame) {
+            this.updateProgress();
+        }
+    }
 
-        // Create source node
-        this.sourceNode = this.audioContext.createBufferSource();
-        this.sourceNode.buffer = this.audioBuffer;
-        this.sourceNode.connect(this.audioContext.destination);
+    // Start one source per layer at `offset`, fading out whatever was playing before
+    startSource(when, offset) {
+        const ctx = this.audioContext;
+        const startAt = Math.max(when, ctx.currentTime);
+        const duration = this.duration;
+        const wrap = (time) => ((time % duration) + duration) % duration;
+        
+        offset = this.isLooping ? wrap(offset) : Math.min(offset, duration);
+        
+        this.releaseSource(startAt);
 
-        // Handle playback end
-        this.sourceNode.onended = () => {
+        this.voices = this.layers.map((buffer, index) => {
+            const source = ctx.createBufferSource();
+            const gain = ctx.createGain();
+            source.buffer = buffer;
+            source.loop = this.isLooping;
+            source.connect(gain);
+            gain.connect(this.mixer.getInput(index));
+
+            // Fade in to avoid a click at the start point
+            gain.gain.setValueAtTime(0, startAt);
+            gain.gain.linearRampToValueAtTime(1, startAt + this.fadeTime);
+
+            // A nudged layer reads from a shifted position (wrapping around the loop)
+            const layerOffset = offset - this.layerOffsets[index];
+            source.start(startAt, this.isLooping ? wrap(layerOffset) : Math.max(0, layerOffset));
+            
+            return { source, gain };
+        });
+
+        // Handle playback end (only for the voices that are still current)
+        const voices = this.voices;
+        voices[0].source.onended = () => {
+            if (voices !== this.voices) return;
+            
+            this.voices = [];
             this.isPlaying = false;
+            this.pauseTime = 0;
             if (this.animationFrame) {
                 cancelAnimationFrame(this.animationFrame);
                 this.animationFrame = null;
@@ -54,43 +146,102 @@ class AudioPlayer {
             }
         };
 
-        // Start playback
-        this.sourceNode.start(0);
-        this.startTime = this.audioContext.currentTime;
-        this.isPlaying = true;
+        this.startTime = startAt - offset;
+    }
 
-        // Start progress tracking
-        this.updateProgress();
+    // Fade out and stop the current sources at `time` without touching playback state
+    releaseSource(time = this.audioContext.currentTime) {
+        const voices = this.voices;
+        this.voices = [];
+        
+        voices.forEach(({ source, gain }) => {
+            gain.gain.cancelScheduledValues(time);
+            gain.gain.setValueAtTime(gain.gain.value, time);
+            gain.gain.linearRampToValueAtTime(0, time + this.fadeTime);
+            
+            source.onended = () => {
+                source.disconnect();
+                gain.disconnect();
+            };
+            
+            try {
+                source.stop(time + this.fadeTime);
+            } catch (e) {
+                // Already stopped
+            }
+        });
     }
 
     updateProgress() {
-        if (!this.isPlaying || !this.audioBuffer) return;
+        if (!this.isPlaying || this.layers.length === 0) {
+            this.animationFrame = null;
+            return;
+        }
 
-        const currentTime = this.audioContext.currentTime - this.startTime;
-        const duration = this.audioBuffer.duration;
+        const duration = this.duration;
+        const currentTime = this.getCurrentTime();
         const progress = Math.min((currentTime / duration) * 100, 100);
 
         if (this.onProgressCallback) {
             this.onProgressCallback(currentTime, duration, progress);
         }
 
-        if (currentTime < duration) {
-            this.animationFrame = requestAnimationFrame(() => this.updateProgress());
+        this.animationFrame = requestAnimationFrame(() => this.updateProgress());
+    }
+
+    // Current position inside the loop, in seconds
+    getCurrentTime() {
+        if (!this.isPlaying || this.layers.length === 0) {
+            return this.pauseTime;
+        }
+        
+        const elapsed = Math.max(0, this.audioContext.currentTime - this.startTime);
+        return this.isLooping ? elapsed % this.duration : Math.min(elapsed, this.duration);
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        
+        this.pauseTime = this.getCurrentTime();
+        this.releaseSource();
+        this.isPlaying = false;
+        
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    resume(when = 0) {
+        if (this.isPlaying) return;
+        
+        this.play(this.onProgressCallback, this.onEndCallback, when, this.isLooping, this.pauseTime);
+    }
+
+    // Jump to a position; keeps playing (and looping) if we were playing
+    seek(time) {
+        if (this.layers.length === 0) return;
+        
+        const position = Math.max(0, Math.min(time, this.duration));
+        
+        if (this.isPlaying) {
+            this.startSource(0, position);
+        } else {
+            this.pauseTime = position;
+        }
+        
+        if (this.onProgressCallback) {
+            this.onProgressCallback(position, this.duration, (position / this.duration) * 100);
         }
     }
 
     stop() {
-        if (this.sourceNode) {
-            try {
-                this.sourceNode.stop();
-            } catch (e) {
-                // Already stopped
-            }
-            this.sourceNode.disconnect();
-            this.sourceNode = null;
+        if (this.audioContext) {
+            this.releaseSource();
         }
 
         this.isPlaying = false;
+        this.pauseTime = 0;
 
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
@@ -99,15 +250,58 @@ class AudioPlayer {
     }
 
     getDuration() {
-        return this.audioBuffer ? this.audioBuffer.duration : 0;
+        return this.duration;
+    }
+
+    // Render one pass of the loop offline through the same mixer graph used for playback.
+    // configure(mixer) applies gains, pans and effects exactly as for the live mixer.
+    // Effect tails from the end of the loop wrap around into its start, as they do when looping.
+    async renderLoop(configure, sampleRate = this.audioContext.sampleRate) {
+        if (this.layers.length === 0) return null;
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const duration = this.duration;
+        const wrap = (time) => ((time % duration) + duration) % duration;
+        const loopLength = Math.round(duration * sampleRate);
+        
+        // Start one tail-length early so the wrapped-around tail is already ringing at position 0
+        const preRoll = Math.min(this.mixer ? this.mixer.getTailTime() : 0, duration);
+        const preRollLength = Math.round(preRoll * sampleRate);
+        
+        const offline = new OfflineContext(2, loopLength + preRollLength, sampleRate);
+        const mixer = new LayerMixer(offline, 0);
+        mixer.setChannelCount(this.layers.length);
+        configure(mixer);
+        
+        this.layers.forEach((buffer, index) => {
+            const source = offline.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+            source.connect(mixer.getInput(index));
+            source.start(0, wrap(-preRoll - this.layerOffsets[index]));
+        });
+        
+        const rendered = await offline.startRendering();
+        if (preRollLength === 0) return rendered;
+        
+        const loop = this.audioContext.createBuffer(2, loopLength, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            loop.getChannelData(channel).set(rendered.getChannelData(channel).subarray(preRollLength));
+        }
+        return loop;
     }
 
-    async audioBufferToBlob(audioBuffer) {
-        // Convert AudioBuffer to WAV Blob
+    // Convert AudioBuffer to WAV Blob: 16 or 24-bit integer PCM, or 32-bit float
+    async audioBufferToBlob(audioBuffer, bitDepth = 16) {
         const numberOfChannels = audioBuffer.numberOfChannels;
-        const length = audioBuffer.length * numberOfChannels * 2;
+        const isFloat = bitDepth === 32;
+        const bytesPerSample = bitDepth / 8;
+        const length = audioBuffer.length * numberOfChannels * bytesPerSample;
         const sampleRate = audioBuffer.sampleRate;
-        const buffer = new ArrayBuffer(44 + length);
+        
+        // Float WAV needs the extended fmt chunk and a fact chunk
+        const headerLength = isFloat ? 58 : 44;
+        const buffer = new ArrayBuffer(headerLength + length);
         const view = new DataView(buffer);
 
         // WAV header
@@ -118,18 +312,28 @@ class AudioPlayer {
         };
 
         writeString(0, 'RIFF');
-        view.setUint32(4, 36 + length, true);
+        view.setUint32(4, headerLength - 8 + length, true);
         writeString(8, 'WAVE');
         writeString(12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
+        view.setUint32(16, isFloat ? 18 : 16, true);
+        view.setUint16(20, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
         view.setUint16(22, numberOfChannels, true);
         view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * numberOfChannels * 2, true);
-        view.setUint16(32, numberOfChannels * 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, 'data');
-        view.setUint32(40, length, true);
+        view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+        view.setUint16(32, numberOfChannels * bytesPerSample, true);
+        view.setUint16(34, bitDepth, true);
+        
+        let dataHeader = 36;
+        if (isFloat) {
+            view.setUint16(36, 0, true); // cbSize
+            writeString(38, 'fact');
+            view.setUint32(42, 4, true);
+            view.setUint32(46, audioBuffer.length, true);
+            dataHeader = 50;
+        }
+        
+        writeString(dataHeader, 'data');
+        view.setUint32(dataHeader + 4, length, true);
 
         // Write audio data
         const channels = [];
@@ -137,12 +341,23 @@ class AudioPlayer {
             channels.push(audioBuffer.getChannelData(i));
         }
 
-        let offset = 44;
+        let offset = headerLength;
         for (let i = 0; i < audioBuffer.length; i++) {
             for (let channel = 0; channel < numberOfChannels; channel++) {
-                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
-                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
-                offset += 2;
+                if (isFloat) {
+                    view.setFloat32(offset, channels[channel][i], true);
+                } else {
+                    const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                    if (bitDepth === 24) {
+                        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                        view.setUint8(offset, value & 0xFF);
+                        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                    } else {
+                        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    }
+                }
+                offset += bytesPerSample;
             }
         }
 
@@ -7,24 +7,54 @@ class AudioRecorder {
         this.duration = 5000; // 5 seconds
         this.recordingTimer = null;
         this.audioContext = null;
+        this.recordStartTime = null; // AudioContext time at which capture started
+        this.captureTail = 0.25; // Extra seconds captured after a scheduled MediaRecorder take to cover recorder latency
+        this.workletLoad = null; // { context, promise } - the recorder worklet is registered once per context
+        this.workletNode = null; // Active AudioWorklet capture, if any
+        this.inputSettings = AudioRecorder.defaultInputSettings();
+        
+        // Input graph: mic -> software gain -> (meter, capture)
+        this.inputSource = null;
+        this.inputGain = null;
+        this.inputAnalyser = null;
+        this.inputDestination = null; // Gained stream fed to the MediaRecorder fallback
+        this.meterData = null;
+    }
+
+    static defaultInputSettings() {
+        return {
+            deviceId: '', // Empty = browser default input
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true,
+            gain: 1.0 // Software input gain (linear)
+        };
+    }
+
+    getAudioConstraints() {
+        const { deviceId, echoCancellation, noiseSuppression, autoGainControl } = this.inputSettings;
+        const constraints = { echoCancellation, noiseSuppression, autoGainControl, sampleRate: 44100 };
+        
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+        
+        return constraints;
     }
 
     async initialize() {
         try {
             // Request microphone access
-            this.stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    sampleRate: 44100
-                } 
-            });
+            this.stream = await this.openStream();
             
-            // Create audio context
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 44100
-            });
+            // Create audio context (unless the app already shares one with us)
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+                    sampleRate: 44100
+                });
+            }
             
+            this.connectInput();
             return true;
         } catch (error) {
             console.error('Failed to get microphone access:', error);
@@ -33,7 +63,107 @@ class AudioRecorder {
         }
     }
 
-    async startRecording(onProgress, onComplete, customDuration = null) {
+    async openStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() });
+        } catch (error) {
+            // The saved device may have been unplugged - fall back to the default input
+            if (this.inputSettings.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('Selected input is unavailable, using the default input:', error);
+                this.inputSettings = { ...this.inputSettings, deviceId: '' };
+                return navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() });
+            }
+            throw error;
+        }
+    }
+
+    // Route the open mic through the software gain. The meter and both capture paths
+    // tap the gained signal, so what you see is what gets recorded.
+    connectInput() {
+        const ctx = this.audioContext;
+        
+        if (this.inputSource) {
+            this.inputSource.disconnect();
+        }
+        
+        if (!this.inputGain || this.inputGain.context !== ctx) {
+            this.inputGain = ctx.createGain();
+            this.inputAnalyser = ctx.createAnalyser();
+            this.inputAnalyser.fftSize = 2048;
+            this.inputDestination = ctx.createMediaStreamDestination();
+            this.meterData = new Float32Array(this.inputAnalyser.fftSize);
+            
+            this.inputGain.connect(this.inputAnalyser);
+            this.inputGain.connect(this.inputDestination);
+        }
+        
+        this.inputGain.gain.value = this.inputSettings.gain;
+        this.inputSource = ctx.createMediaStreamSource(this.stream);
+        this.inputSource.connect(this.inputGain);
+    }
+
+    // Device or DSP changes reopen the mic, gain changes apply live.
+    // Resolves false if the mic could not be reopened.
+    async setInputSettings(changes) {
+        const previous = this.inputSettings;
+        this.inputSettings = { ...previous, ...changes };
+        
+        if (this.inputGain) {
+            this.inputGain.gain.setTargetAtTime(this.inputSettings.gain, this.inputGain.context.currentTime, 0.01);
+        }
+        
+        const needsReopen = ['deviceId', 'echoCancellation', 'noiseSuppression', 'autoGainControl']
+            .some(key => previous[key] !== this.inputSettings[key]);
+        
+        if (needsReopen && this.stream) {
+            this.closeStream();
+            return this.initialize();
+        }
+        
+        return true;
+    }
+
+    async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    // Linear peak and RMS of the most recent input block, or null while the mic is closed
+    readInputLevel() {
+        if (!this.stream || !this.inputAnalyser) return null;
+        
+        this.inputAnalyser.getFloatTimeDomainData(this.meterData);
+        let peak = 0;
+        let sum = 0;
+        for (let i = 0; i < this.meterData.length; i++) {
+            const sample = this.meterData[i];
+            peak = Math.max(peak, Math.abs(sample));
+            sum += sample * sample;
+        }
+        
+        return { peak, rms: Math.sqrt(sum / this.meterData.length) };
+    }
+
+    closeStream() {
+        if (this.inputSource) {
+            this.inputSource.disconnect();
+            this.inputSource = null;
+        }
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    // startAt: optional AudioContext time the take should be aligned to. When given,
+    // the returned buffer starts exactly at that moment and is trimmed to the duration.
+    // customDuration Infinity records until stopRecording(); onProgress then reports elapsed
+    // seconds instead of seconds left. Captures lossless PCM through an AudioWorklet where
+    // available, MediaRecorder otherwise (onComplete then also receives the encoded blob).
+    async startRecording(onProgress, onComplete, customDuration = null, startAt = null) {
         if (!this.stream) {
             const initialized = await this.initialize();
             if (!initialized) return false;
@@ -42,7 +172,113 @@ class AudioRecorder {
         // Use custom duration if provided, otherwise use default
         const recordingDuration = customDuration !== null ? customDuration * 1000 : this.duration;
 
+        // The app may have handed us a new shared context since the mic was opened
+        if (!this.inputGain || this.inputGain.context !== this.audioContext) {
+            this.connectInput();
+        }
+
+        if (await this.loadWorklet()) {
+            return this.startWorkletCapture(onProgress, onComplete, recordingDuration / 1000, startAt);
+        }
+        
+        return this.startMediaRecorderCapture(onProgress, onComplete, recordingDuration, startAt);
+    }
+
+    // Register the capture worklet on the current context (false if worklets are unavailable)
+    loadWorklet() {
+        const ctx = this.audioContext;
+        if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            return Promise.resolve(false);
+        }
+        
+        if (!this.workletLoad || this.workletLoad.context !== ctx) {
+            const promise = ctx.audioWorklet.addModule('js/recorder-worklet.js')
+                .then(() => true)
+                .catch((error) => {
+                    console.warn('AudioWorklet recorder unavailable, falling back to MediaRecorder:', error);
+                    return false;
+                });
+            this.workletLoad = { context: ctx, promise };
+        }
+        
+        return this.workletLoad.promise;
+    }
+
+    async startWorkletCapture(onProgress, onComplete, durationSeconds, startAt) {
+        const ctx = this.audioContext;
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
+        }
+        
+        this.recordStartTime = null;
+        
+        const node = new AudioWorkletNode(ctx, 'loopcraft-recorder', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1]
+        });
+        
+        // The worklet outputs silence - connecting it just keeps it in the rendering graph
+        this.inputGain.connect(node);
+        node.connect(ctx.destination);
+        this.workletNode = node;
+        
+        node.port.onmessage = (event) => {
+            const message = event.data;
+            
+            if (message.type === 'started') {
+                this.recordStartTime = message.frame / ctx.sampleRate;
+            } else if (message.type === 'done') {
+                this.clearRecordingTimer();
+                this.inputGain.disconnect(node);
+                node.disconnect();
+                if (this.workletNode === node) {
+                    this.workletNode = null;
+                }
+                
+                onComplete(this.blocksToAudioBuffer(message.blocks, message.length, message.channelCount), null);
+            }
+        };
+        
+        node.port.postMessage({
+            type: 'start',
+            startFrame: startAt !== null ? Math.round(startAt * ctx.sampleRate) : null,
+            length: isFinite(durationSeconds) ? Math.round(durationSeconds * ctx.sampleRate) : null
+        });
+        
+        // Progress timer - display only, the worklet ends the take on the exact frame
+        this.recordingTimer = setInterval(() => {
+            const startTime = startAt !== null ? startAt : this.recordStartTime;
+            const elapsed = startTime !== null ? Math.max(0, ctx.currentTime - startTime) : 0;
+            const seconds = isFinite(durationSeconds) ? Math.max(0, durationSeconds - elapsed) : elapsed;
+            onProgress(seconds.toFixed(1));
+        }, 100);
+        
+        return true;
+    }
+
+    blocksToAudioBuffer(blocks, length, channelCount) {
+        const audioBuffer = this.audioContext.createBuffer(channelCount, Math.max(1, length), this.audioContext.sampleRate);
+        
+        for (let channel = 0; channel < channelCount; channel++) {
+            const output = audioBuffer.getChannelData(channel);
+            let offset = 0;
+            
+            blocks.forEach(block => {
+                const frames = Math.min(block[channel].length, length - offset);
+                if (frames > 0) {
+                    output.set(block[channel].subarray(0, frames), offset);
+                    offset += frames;
+                }
+            });
+        }
+        
+        return audioBuffer;
+    }
+
+    async startMediaRecorderCapture(onProgress, onComplete, recordingDuration, startAt) {
         this.audioChunks = [];
+        this.recordStartTime = null;
         
         // Create MediaRecorder
         const options = { mimeType: 'audio/webm' };
@@ -55,7 +291,7 @@ class AudioRecorder {
             }
         }
         
-        this.mediaRecorder = new MediaRecorder(this.stream, options);
+        this.mediaRecorder = new MediaRecorder(this.inputDestination.stream, options);
 
         // Collect audio data
         this.mediaRecorder.ondataavailable = (event) => {
@@ -64,26 +300,59 @@ class AudioRecorder {
             }
         };
 
+        // Remember when capture actually began on the AudioContext clock
+        this.mediaRecorder.onstart = () => {
+            this.recordStartTime = this.audioContext.currentTime;
+        };
+
         // Handle recording stop
         this.mediaRecorder.onstop = async () => {
             const audioBlob = new Blob(this.audioChunks, { type: this.mediaRecorder.mimeType });
-            const audioBuffer = await this.blobToAudioBuffer(audioBlob);
+            let audioBuffer = await this.blobToAudioBuffer(audioBlob);
+            
+            if (startAt !== null && this.recordStartTime !== null) {
+                const offset = startAt - this.recordStartTime;
+                // Open-ended takes keep everything captured after the start point
+                const duration = isFinite(recordingDuration)
+                    ? recordingDuration / 1000
+                    : Math.max(1 / audioBuffer.sampleRate, audioBuffer.duration - offset);
+                audioBuffer = this.alignToStart(audioBuffer, offset, duration);
+            }
+            
             onComplete(audioBuffer, audioBlob);
         };
 
         // Start recording
         this.mediaRecorder.start();
 
-        // Progress timer
+        // Progress timer (scheduled takes run on the AudioContext clock)
         let elapsed = 0;
         const interval = 100; // Update every 100ms
         this.recordingTimer = setInterval(() => {
             elapsed += interval;
-            const remaining = Math.max(0, recordingDuration - elapsed);
-            const seconds = (remaining / 1000).toFixed(1);
+            
+            // Open-ended takes run until stopRecording()
+            if (!isFinite(recordingDuration)) {
+                const takeElapsed = startAt !== null
+                    ? Math.max(0, this.audioContext.currentTime - startAt) * 1000
+                    : elapsed;
+                onProgress((takeElapsed / 1000).toFixed(1));
+                return;
+            }
+            
+            let remaining = Math.max(0, recordingDuration - elapsed);
+            let finished = elapsed >= recordingDuration;
+            
+            if (startAt !== null) {
+                const contextElapsed = (this.audioContext.currentTime - startAt) * 1000;
+                remaining = Math.max(0, recordingDuration - contextElapsed);
+                finished = contextElapsed >= recordingDuration + this.captureTail * 1000;
+            }
+            
+            const seconds = (Math.min(remaining, recordingDuration) / 1000).toFixed(1);
             onProgress(seconds);
 
-            if (elapsed >= recordingDuration) {
+            if (finished) {
                 this.stopRecording();
             }
         }, interval);
@@ -92,10 +361,19 @@ class AudioRecorder {
     }
 
     stopRecording() {
+        // The worklet answers with everything captured so far
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'stop' });
+        }
+        
         if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
             this.mediaRecorder.stop();
         }
         
+        this.clearRecordingTimer();
+    }
+
+    clearRecordingTimer() {
         if (this.recordingTimer) {
             clearInterval(this.recordingTimer);
             this.recordingTimer = null;
@@ -115,6 +393,133 @@ class AudioRecorder {
         return audioBuffer;
     }
 
+    // Shift a take so that sample 0 lines up with the scheduled start and trim it
+    // to an exact length. offsetSeconds > 0 means capture began before the start point.
+    alignToStart(audioBuffer, offsetSeconds, durationSeconds) {
+        const sampleRate = audioBuffer.sampleRate;
+        const offset = Math.round(offsetSeconds * sampleRate);
+        const length = Math.round(durationSeconds * sampleRate);
+        
+        const aligned = this.audioContext.createBuffer(audioBuffer.numberOfChannels, length, sampleRate);
+        
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const input = audioBuffer.getChannelData(channel);
+            const output = aligned.getChannelData(channel);
+            
+            for (let i = 0; i < length; i++) {
+                const src = i + offset;
+                output[i] = src >= 0 && src < input.length ? input[src] : 0;
+            }
+        }
+        
+        return aligned;
+    }
+
+    // Measure round-trip (output + input) latency by playing test pulses through the
+    // speakers and finding them again in the recording. Resolves with seconds.
+    async measureLatency(pulseCount = 3, pulseSpacing = 0.5) {
+        if (!this.stream) {
+            const initialized = await this.initialize();
+            if (!initialized) throw new Error('Microphone access is required for calibration');
+        }
+        
+        const ctx = this.audioContext;
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
+        }
+        
+        // Echo cancellation would remove the very pulse we are listening for
+        const [track] = this.stream.getAudioTracks();
+        const previousSettings = track.getSettings();
+        try {
+            await track.applyConstraints({ echoCancellation: false, noiseSuppression: false, autoGainControl: false });
+        } catch (error) {
+            console.warn('Could not disable echo cancellation for calibration:', error);
+        }
+        
+        const startAt = ctx.currentTime + 0.3;
+        for (let i = 0; i < pulseCount; i++) {
+            this.playTestPulse(startAt + i * pulseSpacing);
+        }
+        
+        const recordingLength = pulseCount * pulseSpacing;
+        
+        try {
+            const recorded = await new Promise((resolve, reject) => {
+                this.startRecording(() => {}, (audioBuffer) => resolve(audioBuffer), recordingLength, startAt)
+                    .then(started => {
+                        if (!started) reject(new Error('Failed to start calibration recording'));
+                    })
+                    .catch(reject);
+            });
+            
+            return this.findPulseLatency(recorded, pulseCount, pulseSpacing);
+        } finally {
+            try {
+                await track.applyConstraints({
+                    echoCancellation: previousSettings.echoCancellation,
+                    noiseSuppression: previousSettings.noiseSuppression,
+                    autoGainControl: previousSettings.autoGainControl
+                });
+            } catch (error) {
+                console.warn('Could not restore microphone settings:', error);
+            }
+        }
+    }
+
+    playTestPulse(time) {
+        const ctx = this.audioContext;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        
+        // Short, loud 2 kHz burst with a sharp attack
+        osc.frequency.value = 2000;
+        gain.gain.setValueAtTime(0.8, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.01);
+        
+        osc.start(time);
+        osc.stop(time + 0.012);
+    }
+
+    // Find the onset of each pulse in its window and return the median delay in seconds
+    findPulseLatency(audioBuffer, pulseCount, pulseSpacing) {
+        const data = audioBuffer.getChannelData(0);
+        const sampleRate = audioBuffer.sampleRate;
+        const windowLength = Math.floor(pulseSpacing * sampleRate);
+        const delays = [];
+        
+        for (let p = 0; p < pulseCount; p++) {
+            const start = p * windowLength;
+            const end = Math.min(start + windowLength, data.length);
+            
+            let peak = 0;
+            for (let i = start; i < end; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+            
+            // Too quiet to be our pulse - the mic probably didn't hear the speakers
+            if (peak < 0.02) continue;
+            
+            const threshold = peak * 0.5;
+            for (let i = start; i < end; i++) {
+                if (Math.abs(data[i]) >= threshold) {
+                    delays.push((i - start) / sampleRate);
+                    break;
+                }
+            }
+        }
+        
+        if (delays.length === 0) {
+            throw new Error('Test pulse not detected. Turn up your speakers and keep the mic near them.');
+        }
+        
+        delays.sort((a, b) => a - b);
+        return delays[Math.floor(delays.length / 2)];
+    }
+
     async loadAudioFile(file) {
         const arrayBuffer = await file.arrayBuffer();
         
@@ -180,14 +585,8 @@ class AudioRecorder {
     }
 
     cleanup() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-        
-        if (this.recordingTimer) {
-            clearInterval(this.recordingTimer);
-        }
+        this.closeStream();
+        this.clearRecordingTimer();
     }
 }
 
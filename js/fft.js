@@ -0,0 +1,115 @@
+// FFT Module - radix-2 real FFT shared by the analyzer and its worker
+// An N-point real frame is packed into an N/2-point complex FFT and split afterwards, with the
+// twiddles, bit-reversal table and Hann window computed once per size
+class FFT {
+    constructor(size) {
+        if (size < 4 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        
+        this.size = size;
+        const half = size / 2;
+        
+        // Twiddles W_N^k = e^(-2πik/N) for k < N/2; the half-size FFT uses every other one
+        this.cos = new Float64Array(half);
+        this.sin = new Float64Array(half);
+        for (let k = 0; k < half; k++) {
+            this.cos[k] = Math.cos(2 * Math.PI * k / size);
+            this.sin[k] = -Math.sin(2 * Math.PI * k / size);
+        }
+        
+        // Bit-reversed order of the half-size FFT
+        this.reversed = new Uint32Array(half);
+        for (let i = 1, j = 0; i < half; i++) {
+            let bit = half >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            this.reversed[i] = j;
+        }
+        
+        // Periodic Hann window
+        this.window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+        }
+        
+        this.real = new Float64Array(half);
+        this.imag = new Float64Array(half);
+    }
+
+    // Shared instance per size, so the tables are built once per analysis
+    static get(size) {
+        let fft = FFT.instances.get(size);
+        if (!fft) {
+            fft = new FFT(size);
+            FFT.instances.set(size, fft);
+        }
+        return fft;
+    }
+
+    // Magnitudes of bins 0..N/2 of the frame starting at `offset` in `samples` (zero-padded
+    // past the end). Hann-windowed unless windowed is false.
+    magnitudes(samples, offset = 0, windowed = true) {
+        const n = this.size;
+        const half = n / 2;
+        const real = this.real;
+        const imag = this.imag;
+        const available = Math.max(0, Math.min(n, samples.length - offset));
+        
+        // Even samples as the real part, odd as the imaginary, already in bit-reversed order
+        for (let m = 0; m < half; m++) {
+            const i = 2 * m;
+            const even = i < available ? samples[offset + i] : 0;
+            const odd = i + 1 < available ? samples[offset + i + 1] : 0;
+            const target = this.reversed[m];
+            real[target] = windowed ? even * this.window[i] : even;
+            imag[target] = windowed ? odd * this.window[i + 1] : odd;
+        }
+        
+        // Butterflies of the half-size complex FFT; a stage of `size` uses W_N^(k·N/size)
+        for (let size = 2, stride = half; size <= half; size <<= 1, stride >>= 1) {
+            const span = size >> 1;
+            for (let k = 0; k < span; k++) {
+                const wr = this.cos[k * stride];
+                const wi = this.sin[k * stride];
+                for (let start = 0; start < half; start += size) {
+                    const a = start + k;
+                    const b = a + span;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+        
+        // Split into the spectrum of the real frame:
+        // X[k] = (Z[k] + Z*[M-k]) / 2 - i W^k (Z[k] - Z*[M-k]) / 2
+        const magnitudes = new Float32Array(half + 1);
+        magnitudes[0] = Math.abs(real[0] + imag[0]);
+        magnitudes[half] = Math.abs(real[0] - imag[0]);
+        for (let k = 1; k < half; k++) {
+            const c = real[half - k];
+            const d = imag[half - k];
+            const er = 0.5 * (real[k] + c);
+            const ei = 0.5 * (imag[k] - d);
+            const or = 0.5 * (real[k] - c);
+            const oi = 0.5 * (imag[k] + d);
+            const wr = this.cos[k];
+            const wi = this.sin[k];
+            const xr = er + wr * oi + wi * or;
+            const xi = ei - wr * or + wi * oi;
+            magnitudes[k] = Math.sqrt(xr * xr + xi * xi);
+        }
+        return magnitudes;
+    }
+}
+
+FFT.instances = new Map();
+
+// Export for the app and for the worker (importScripts), where there is no window
+self.FFT = FFT;
@@ -27,6 +27,31 @@ const GUITAR_CHORDS = {
     'E7': { fingers: [[0, 0], [2, 2], [0, 0], [1, 1], [0, 0], [0, 0]], name: 'E7' },
     'G7': { fingers: [[3, 3], [2, 2], [0, 0], [0, 0], [0, 0], [1, 1]], name: 'G7' },
     'A7': { fingers: [[-1, 0], [0, 0], [2, 2], [0, 0], [2, 3], [0, 0]], name: 'A7' },
+    'B7': { fingers: [[-1, 0], [2, 2], [1, 1], [2, 3], [0, 0], [2, 4]], name: 'B7' },
+    
+    // Sharp roots within the first five frets
+    'F#': { fingers: [[2, 1], [4, 3], [4, 4], [3, 2], [2, 1], [2, 1]], name: 'F# Major' },
+    'F#m': { fingers: [[2, 1], [4, 3], [4, 4], [2, 1], [2, 1], [2, 1]], name: 'F# Minor' },
+    'A#': { fingers: [[-1, 0], [1, 1], [3, 2], [3, 3], [3, 4], [1, 1]], name: 'A# Major' },
+    
+    // Major and minor sevenths
+    'Cmaj7': { fingers: [[-1, 0], [3, 3], [2, 2], [0, 0], [0, 0], [0, 0]], name: 'C Major 7' },
+    'Dmaj7': { fingers: [[-1, 0], [-1, 0], [0, 0], [2, 1], [2, 2], [2, 3]], name: 'D Major 7' },
+    'Emaj7': { fingers: [[0, 0], [2, 3], [1, 1], [1, 2], [0, 0], [0, 0]], name: 'E Major 7' },
+    'Fmaj7': { fingers: [[-1, 0], [-1, 0], [3, 3], [2, 2], [1, 1], [0, 0]], name: 'F Major 7' },
+    'Gmaj7': { fingers: [[3, 2], [2, 1], [0, 0], [0, 0], [0, 0], [2, 3]], name: 'G Major 7' },
+    'Amaj7': { fingers: [[-1, 0], [0, 0], [2, 2], [1, 1], [2, 3], [0, 0]], name: 'A Major 7' },
+    'Dm7': { fingers: [[-1, 0], [-1, 0], [0, 0], [2, 2], [1, 1], [1, 1]], name: 'D Minor 7' },
+    'Em7': { fingers: [[0, 0], [2, 2], [0, 0], [0, 0], [0, 0], [0, 0]], name: 'E Minor 7' },
+    'Am7': { fingers: [[-1, 0], [0, 0], [2, 2], [0, 0], [1, 1], [0, 0]], name: 'A Minor 7' },
+    
+    // Suspended and augmented chords
+    'Dsus2': { fingers: [[-1, 0], [-1, 0], [0, 0], [2, 1], [3, 3], [0, 0]], name: 'D Sus2' },
+    'Dsus4': { fingers: [[-1, 0], [-1, 0], [0, 0], [2, 1], [3, 3], [3, 4]], name: 'D Sus4' },
+    'Esus4': { fingers: [[0, 0], [2, 2], [2, 3], [2, 4], [0, 0], [0, 0]], name: 'E Sus4' },
+    'Asus2': { fingers: [[-1, 0], [0, 0], [2, 1], [2, 2], [0, 0], [0, 0]], name: 'A Sus2' },
+    'Asus4': { fingers: [[-1, 0], [0, 0], [2, 1], [2, 2], [3, 3], [0, 0]], name: 'A Sus4' },
+    'Caug': { fingers: [[-1, 0], [3, 4], [2, 3], [1, 1], [1, 2], [0, 0]], name: 'C Augmented' },
     
     // Default/Unknown
     'Unknown': { fingers: [[-1, 0], [-1, 0], [-1, 0], [-1, 0], [-1, 0], [-1, 0]], name: 'Unknown' }
@@ -35,7 +60,7 @@ const GUITAR_CHORDS = {
 class GuitarChordDiagram {
     constructor(chord) {
         this.chord = chord;
-        this.chordData = GUITAR_CHORDS[chord] || GUITAR_CHORDS['Unknown'];
+        this.chordData = GuitarChordDiagram.shapeFor(chord) || GUITAR_CHORDS['Unknown'];
         this.width = 100;
         this.height = 140;
         this.frets = 5;
@@ -45,6 +70,12 @@ class GuitarChordDiagram {
         this.margin = 20;
     }
     
+    // Shape for a chord name, or null when there is none. Slash chords (C/E) use the shape
+    // of the chord over the bass note.
+    static shapeFor(chord) {
+        return GUITAR_CHORDS[chord] || GUITAR_CHORDS[chord.split('/')[0]] || null;
+    }
+    
     render() {
         const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
         svg.setAttribute('width', this.width);
@@ -137,8 +168,8 @@ function renderGuitarDiagrams(chords) {
     const container = document.getElementById('guitarDiagrams');
     container.innerHTML = '';
     
-    // Get unique chords
-    const uniqueChords = [...new Set(chords.map(c => c.chord))];
+    // Get unique chords (no diagram for "no chord" sections)
+    const uniqueChords = [...new Set(chords.map(c => c.chord).filter(chord => chord !== 'N.C.'))];
     
     uniqueChords.forEach(chordName => {
         const diagramWrapper = document.createElement('div');
@@ -149,11 +180,17 @@ function renderGuitarDiagrams(chords) {
         title.className = 'chord-diagram-title';
         title.textContent = chordName;
         
-        const diagram = new GuitarChordDiagram(chordName);
-        const svg = diagram.render();
-        
         diagramWrapper.appendChild(title);
-        diagramWrapper.appendChild(svg);
+        
+        // The recognizer knows far more chords than there are shapes: those just show their name
+        if (GuitarChordDiagram.shapeFor(chordName)) {
+            diagramWrapper.appendChild(new GuitarChordDiagram(chordName).render());
+        } else {
+            const missing = document.createElement('div');
+            missing.className = 'chord-diagram-missing';
+            missing.textContent = 'No diagram';
+            diagramWrapper.appendChild(missing);
+        }
         container.appendChild(diagramWrapper);
     });
 }
@@ -0,0 +1,244 @@
+// Layer Effects Module - per-layer insert chain built from Web Audio nodes
+// Signal flow: input -> EQ -> filter -> compressor -> delay (send) -> reverb (send) -> output
+// Works on both AudioContext and OfflineAudioContext so rendered mixes match playback.
+class LayerEffects {
+    constructor(audioContext, smoothing = 0.01) {
+        this.audioContext = audioContext;
+        this.smoothing = smoothing; // 0 = set parameters immediately (offline rendering)
+        this.reverbDecay = null; // Decay the current impulse response was generated for
+        
+        const ctx = audioContext;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        
+        // 3-band EQ
+        this.eqLow = ctx.createBiquadFilter();
+        this.eqLow.type = 'lowshelf';
+        this.eqLow.frequency.value = 250;
+        this.eqMid = ctx.createBiquadFilter();
+        this.eqMid.type = 'peaking';
+        this.eqMid.frequency.value = 1000;
+        this.eqMid.Q.value = 0.9;
+        this.eqHigh = ctx.createBiquadFilter();
+        this.eqHigh.type = 'highshelf';
+        this.eqHigh.frequency.value = 4000;
+        this.eqLow.connect(this.eqMid);
+        this.eqMid.connect(this.eqHigh);
+        this.eq = this.createInsert(this.eqLow, this.eqHigh);
+        
+        // Filter
+        this.filterNode = ctx.createBiquadFilter();
+        this.filter = this.createInsert(this.filterNode, this.filterNode);
+        
+        // Compressor
+        this.compressorNode = ctx.createDynamicsCompressor();
+        this.compressor = this.createInsert(this.compressorNode, this.compressorNode);
+        
+        // Delay with feedback
+        this.delayNode = ctx.createDelay(2.0);
+        this.delayFeedback = ctx.createGain();
+        this.delayNode.connect(this.delayFeedback);
+        this.delayFeedback.connect(this.delayNode);
+        this.delay = this.createSend(this.delayNode, this.delayNode);
+        
+        // Convolution reverb
+        this.convolver = ctx.createConvolver();
+        this.reverb = this.createSend(this.convolver, this.convolver);
+        
+        // Chain the slots together
+        this.input.connect(this.eq.input);
+        this.eq.output.connect(this.filter.input);
+        this.filter.output.connect(this.compressor.input);
+        this.compressor.output.connect(this.delay.input);
+        this.delay.output.connect(this.reverb.input);
+        this.reverb.output.connect(this.output);
+        
+        this.apply(LayerEffects.defaultSettings());
+    }
+
+    static defaultSettings() {
+        return {
+            eq: { enabled: false, low: 0, mid: 0, high: 0 },
+            filter: { enabled: false, type: 'lowpass', frequency: 8000, q: 0.7 },
+            compressor: { enabled: false, threshold: -24, ratio: 4, attack: 0.003, release: 0.25 },
+            delay: { enabled: false, time: 0.25, feedback: 0.35, mix: 0.3 },
+            reverb: { enabled: false, decay: 2.0, mix: 0.25 }
+        };
+    }
+
+    static cloneSettings(settings) {
+        return JSON.parse(JSON.stringify(settings));
+    }
+
+    // How long the chain keeps ringing after the input stops (seconds)
+    static getTailTime(settings) {
+        let tail = 0;
+        
+        if (settings.reverb.enabled) {
+            tail = Math.max(tail, settings.reverb.decay);
+        }
+        
+        if (settings.delay.enabled && settings.delay.feedback > 0) {
+            // Repeats until they have decayed by 60dB
+            const repeats = Math.log(0.001) / Math.log(Math.min(settings.delay.feedback, 0.95));
+            tail = Math.max(tail, settings.delay.time * Math.ceil(repeats));
+        }
+        
+        return tail;
+    }
+
+    // Insert slot: signal goes through the effect when enabled, around it when bypassed
+    createInsert(first, last) {
+        const ctx = this.audioContext;
+        const slot = {
+            input: ctx.createGain(),
+            output: ctx.createGain(),
+            wet: ctx.createGain(),
+            dry: ctx.createGain()
+        };
+        
+        slot.input.connect(first);
+        last.connect(slot.wet);
+        slot.wet.connect(slot.output);
+        slot.input.connect(slot.dry);
+        slot.dry.connect(slot.output);
+        
+        return slot;
+    }
+
+    // Send slot: dry signal always passes, the effect is mixed in on top
+    createSend(first, last) {
+        const slot = this.createInsert(first, last);
+        slot.dry.gain.value = 1;
+        return slot;
+    }
+
+    setParam(param, value) {
+        if (this.smoothing === 0) {
+            param.value = value;
+            return;
+        }
+        
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, this.smoothing);
+    }
+
+    setInsertEnabled(slot, enabled) {
+        this.setParam(slot.wet.gain, enabled ? 1 : 0);
+        this.setParam(slot.dry.gain, enabled ? 0 : 1);
+    }
+
+    setSendLevel(slot, enabled, mix) {
+        this.setParam(slot.wet.gain, enabled ? mix : 0);
+    }
+
+    apply(settings) {
+        const { eq, filter, compressor, delay, reverb } = settings;
+        
+        this.setInsertEnabled(this.eq, eq.enabled);
+        this.setParam(this.eqLow.gain, eq.low);
+        this.setParam(this.eqMid.gain, eq.mid);
+        this.setParam(this.eqHigh.gain, eq.high);
+        
+        this.setInsertEnabled(this.filter, filter.enabled);
+        this.filterNode.type = filter.type;
+        this.setParam(this.filterNode.frequency, filter.frequency);
+        this.setParam(this.filterNode.Q, filter.q);
+        
+        this.setInsertEnabled(this.compressor, compressor.enabled);
+        this.setParam(this.compressorNode.threshold, compressor.threshold);
+        this.setParam(this.compressorNode.ratio, compressor.ratio);
+        this.setParam(this.compressorNode.attack, compressor.attack);
+        this.setParam(this.compressorNode.release, compressor.release);
+        
+        this.setSendLevel(this.delay, delay.enabled, delay.mix);
+        this.setParam(this.delayNode.delayTime, delay.time);
+        this.setParam(this.delayFeedback.gain, Math.min(delay.feedback, 0.95));
+        
+        this.setSendLevel(this.reverb, reverb.enabled, reverb.mix);
+        if (reverb.decay !== this.reverbDecay) {
+            this.convolver.buffer = LayerEffects.createImpulseResponse(this.audioContext, reverb.decay);
+            this.reverbDecay = reverb.decay;
+        }
+    }
+
+    // Stereo exponentially-decaying noise. Seeded so live playback and offline renders
+    // get the exact same impulse response.
+    static createImpulseResponse(audioContext, decay) {
+        const sampleRate = audioContext.sampleRate;
+        const length = Math.max(1, Math.floor(decay * sampleRate));
+        const impulse = audioContext.createBuffer(2, length, sampleRate);
+        
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                // -60dB at the end of the decay time
+                const envelope = Math.pow(0.001, i / length);
+                data[i] = (random() * 2 - 1) * envelope;
+            }
+        }
+        
+        return impulse;
+    }
+
+    disconnect() {
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+}
+
+// Controls shown in the Layer Mix panel for each effect
+LayerEffects.CONTROLS = {
+    eq: {
+        label: 'EQ',
+        params: [
+            { key: 'low', label: 'Low', min: -12, max: 12, step: 0.5, unit: 'dB' },
+            { key: 'mid', label: 'Mid', min: -12, max: 12, step: 0.5, unit: 'dB' },
+            { key: 'high', label: 'High', min: -12, max: 12, step: 0.5, unit: 'dB' }
+        ]
+    },
+    filter: {
+        label: 'Filter',
+        params: [
+            { key: 'type', label: 'Type', options: ['lowpass', 'highpass', 'bandpass'] },
+            { key: 'frequency', label: 'Freq', min: 20, max: 20000, step: 1, unit: 'Hz' },
+            { key: 'q', label: 'Q', min: 0.1, max: 12, step: 0.1, unit: '' }
+        ]
+    },
+    compressor: {
+        label: 'Comp',
+        params: [
+            { key: 'threshold', label: 'Thresh', min: -60, max: 0, step: 1, unit: 'dB' },
+            { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, unit: ':1' },
+            { key: 'attack', label: 'Attack', min: 0, max: 0.5, step: 0.001, unit: 's' },
+            { key: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, unit: 's' }
+        ]
+    },
+    delay: {
+        label: 'Delay',
+        params: [
+            { key: 'time', label: 'Time', min: 0.01, max: 2, step: 0.01, unit: 's' },
+            { key: 'feedback', label: 'Fdbk', min: 0, max: 0.95, step: 0.01, unit: '' },
+            { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, unit: '' }
+        ]
+    },
+    reverb: {
+        label: 'Reverb',
+        params: [
+            // Every change regenerates the impulse response (up to 8 s of stereo noise), so a
+            // drag only applies where the slider is released
+            { key: 'decay', label: 'Decay', min: 0.1, max: 8, step: 0.1, unit: 's', applyOnRelease: true },
+            { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, unit: '' }
+        ]
+    }
+};
+
+// Export for use in main app
+window.LayerEffects = LayerEffects;
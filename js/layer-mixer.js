@@ -0,0 +1,90 @@
+// Layer Mixer Module - persistent Web Audio graph with one channel strip per layer
+// Channel strip: input -> effects chain -> gain -> panner -> master bus (see MasterBus)
+class LayerMixer {
+    // smoothing: time constant for parameter changes in seconds (0 = immediate, for offline rendering)
+    constructor(audioContext, smoothing = 0.01) {
+        this.audioContext = audioContext;
+        this.channels = []; // One { effects, gain, panner } strip per layer
+        this.smoothing = smoothing;
+        
+        // Master bus (stereo) - every channel strip feeds into this
+        this.master = new MasterBus(audioContext, smoothing);
+    }
+
+    // Make sure there is exactly one channel strip per layer
+    setChannelCount(count) {
+        while (this.channels.length < count) {
+            const effects = new LayerEffects(this.audioContext, this.smoothing);
+            const gain = this.audioContext.createGain();
+            effects.output.connect(gain);
+            
+            // Older browsers without StereoPannerNode just skip panning
+            const panner = this.audioContext.createStereoPanner ? this.audioContext.createStereoPanner() : null;
+            if (panner) {
+                gain.connect(panner);
+                panner.connect(this.master.input);
+            } else {
+                gain.connect(this.master.input);
+            }
+            
+            this.channels.push({ effects, gain, panner });
+        }
+        
+        while (this.channels.length > count) {
+            const channel = this.channels.pop();
+            channel.effects.disconnect();
+            channel.gain.disconnect();
+            if (channel.panner) channel.panner.disconnect();
+        }
+    }
+
+    // Node a layer's source should connect to
+    getInput(index) {
+        return this.channels[index].effects.input;
+    }
+
+    // Smoothly move a parameter so fader moves don't zipper or click
+    setParam(param, value) {
+        if (this.smoothing === 0) {
+            param.value = value;
+            return;
+        }
+        
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, this.smoothing);
+    }
+
+    setGain(index, value) {
+        const channel = this.channels[index];
+        if (!channel) return;
+        
+        this.setParam(channel.gain.gain, value);
+    }
+
+    // pan: -1 (left) to 1 (right)
+    setPan(index, pan) {
+        const channel = this.channels[index];
+        if (!channel || !channel.panner) return;
+        
+        this.setParam(channel.panner.pan, pan);
+    }
+
+    setEffects(index, settings) {
+        const channel = this.channels[index];
+        if (!channel) return;
+        
+        channel.effects.apply(settings);
+        channel.effectSettings = settings;
+    }
+
+    // Longest effect tail across all channels (seconds)
+    getTailTime() {
+        return Math.max(0, ...this.channels.map(channel =>
+            channel.effectSettings ? LayerEffects.getTailTime(channel.effectSettings) : 0
+        ));
+    }
+}
+
+// Export for use in main app
+window.LayerMixer = LayerMixer;
@@ -0,0 +1,247 @@
+// Master Bus Module - master fader, loudness normalization gain, brickwall limiter and metering
+// Signal flow: input -> fader -> normalize -> limiter -> output -> destination
+class MasterBus {
+    // smoothing: time constant for parameter changes in seconds (0 = immediate, for offline rendering)
+    constructor(audioContext, smoothing = 0.01) {
+        this.audioContext = audioContext;
+        this.smoothing = smoothing;
+        
+        const ctx = audioContext;
+        this.input = ctx.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        
+        this.fader = ctx.createGain();
+        this.normalizeGain = ctx.createGain();
+        
+        // Fast, hard-kneed compressor acting as the limiter
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.05;
+        
+        this.limiterBypass = ctx.createGain();
+        this.limiterWet = ctx.createGain();
+        this.output = ctx.createGain();
+        
+        this.input.connect(this.fader);
+        this.fader.connect(this.normalizeGain);
+        this.normalizeGain.connect(this.limiter);
+        this.limiter.connect(this.limiterWet);
+        this.limiterWet.connect(this.output);
+        this.normalizeGain.connect(this.limiterBypass);
+        this.limiterBypass.connect(this.output);
+        this.output.connect(ctx.destination);
+        
+        // Meter tap (live playback only)
+        this.analyser = null;
+        if (smoothing > 0) {
+            this.analyser = ctx.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.output.connect(this.analyser);
+            this.meterData = new Float32Array(this.analyser.fftSize);
+        }
+        
+        this.apply(MasterBus.defaultSettings(), 1);
+    }
+
+    static defaultSettings() {
+        return {
+            gain: 1.0, // Master fader (linear)
+            limiter: true,
+            ceiling: -1.0, // dBFS
+            normalize: false,
+            targetLufs: -14
+        };
+    }
+
+    setParam(param, value) {
+        if (this.smoothing === 0) {
+            param.value = value;
+            return;
+        }
+        
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, this.smoothing);
+    }
+
+    // normalizationGain: linear gain from loudness normalization (1 = none)
+    apply(settings, normalizationGain) {
+        this.setParam(this.fader.gain, settings.gain);
+        this.setParam(this.normalizeGain.gain, normalizationGain);
+        this.setParam(this.limiter.threshold, settings.ceiling);
+        this.setParam(this.limiterWet.gain, settings.limiter ? 1 : 0);
+        this.setParam(this.limiterBypass.gain, settings.limiter ? 0 : 1);
+    }
+
+    // Current output peak in dBFS (live only)
+    readPeak() {
+        if (!this.analyser) return -Infinity;
+        
+        this.analyser.getFloatTimeDomainData(this.meterData);
+        let peak = 0;
+        for (let i = 0; i < this.meterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this.meterData[i]));
+        }
+        return MasterBus.gainToDb(peak);
+    }
+
+    static gainToDb(gain) {
+        return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+    }
+
+    static dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    static getPeak(audioBuffer) {
+        let peak = 0;
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+        }
+        return peak;
+    }
+
+    // Integrated loudness (LUFS) per ITU-R BS.1770: K-weighting, 400ms blocks with
+    // 75% overlap, absolute gate at -70 LUFS and relative gate at -10 LU
+    static measureLoudness(audioBuffer) {
+        const sampleRate = audioBuffer.sampleRate;
+        const channels = [];
+        for (let channel = 0; channel < Math.min(2, audioBuffer.numberOfChannels); channel++) {
+            channels.push(MasterBus.kWeight(audioBuffer.getChannelData(channel), sampleRate));
+        }
+        
+        const length = audioBuffer.length;
+        const blockSize = Math.min(length, Math.round(0.4 * sampleRate));
+        const hopSize = Math.max(1, Math.round(blockSize / 4));
+        const blockPowers = [];
+        
+        for (let start = 0; start + blockSize <= length; start += hopSize) {
+            let power = 0;
+            channels.forEach(data => {
+                let sum = 0;
+                for (let i = start; i < start + blockSize; i++) {
+                    sum += data[i] * data[i];
+                }
+                power += sum / blockSize;
+            });
+            blockPowers.push(power);
+        }
+        
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        
+        const absoluteGated = blockPowers.filter(power => toLufs(power) > -70);
+        if (absoluteGated.length === 0) return -Infinity;
+        
+        const relativeThreshold = toLufs(mean(absoluteGated)) - 10;
+        const gated = absoluteGated.filter(power => toLufs(power) > relativeThreshold);
+        
+        return toLufs(mean(gated));
+    }
+
+    // K-weighting pre-filter (high shelf + high pass), coefficients derived for any sample rate
+    static kWeight(data, sampleRate) {
+        // Stage 1: high shelf
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        const Q1 = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q1 + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q1 + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q1 + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q1 + K * K) / a0
+        };
+        
+        // Stage 2: high pass
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        const Q2 = 0.5003270373238773;
+        a0 = 1 + K / Q2 + K * K;
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q2 + K * K) / a0
+        };
+        
+        return MasterBus.biquad(MasterBus.biquad(data, shelf), highPass);
+    }
+
+    static biquad(data, c) {
+        const out = new Float32Array(data.length);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            out[i] = y;
+        }
+        
+        return out;
+    }
+
+    // Sample-exact brickwall limiter for rendered mixes. Gain ramps down over a short
+    // lookahead before each overshoot and recovers smoothly, so no sample ever exceeds
+    // the ceiling. Works in place; returns the maximum gain reduction in dB.
+    static limitBuffer(audioBuffer, ceilingDb, lookahead = 0.0015, release = 0.05) {
+        const ceiling = MasterBus.dbToGain(ceilingDb);
+        const sampleRate = audioBuffer.sampleRate;
+        const length = audioBuffer.length;
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        
+        // Gain each sample needs on its own
+        const gain = new Float32Array(length);
+        let needsLimiting = false;
+        for (let i = 0; i < length; i++) {
+            let peak = 0;
+            channels.forEach(data => {
+                peak = Math.max(peak, Math.abs(data[i]));
+            });
+            gain[i] = peak > ceiling ? ceiling / peak : 1;
+            if (gain[i] < 1) needsLimiting = true;
+        }
+        
+        if (!needsLimiting) return 0;
+        
+        // Backward pass: ramp down ahead of each overshoot
+        const attackStep = 1 / Math.max(1, Math.round(lookahead * sampleRate));
+        for (let i = length - 2; i >= 0; i--) {
+            gain[i] = Math.min(gain[i], gain[i + 1] + attackStep);
+        }
+        
+        // Forward pass: smooth exponential release, never above what is required
+        const releaseCoef = Math.exp(-1 / (release * sampleRate));
+        let minGain = gain[0];
+        for (let i = 1; i < length; i++) {
+            const recovered = gain[i - 1] + (1 - gain[i - 1]) * (1 - releaseCoef);
+            gain[i] = Math.min(gain[i], recovered);
+            minGain = Math.min(minGain, gain[i]);
+        }
+        
+        channels.forEach(data => {
+            for (let i = 0; i < length; i++) {
+                data[i] *= gain[i];
+            }
+        });
+        
+        return -MasterBus.gainToDb(minGain);
+    }
+}
+
+// Export for use in main app
+window.MasterBus = MasterBus;
@@ -0,0 +1,221 @@
+// Metronome Module - click track scheduled on the AudioContext clock, phase-locked to the loop
+// Clicks sit on a grid that restarts at loop position 0 on every pass, so they line up with
+// the recorded layers even when the loop isn't a whole number of beats
+class Metronome {
+    // getTempo: returns the project tempo {bpm, beatsPerBar, beatUnit}
+    // getLoop: returns {start, length} of the playing loop on the context clock, or null
+    constructor(audioContext, getTempo, getLoop) {
+        this.audioContext = audioContext;
+        this.getTempo = getTempo;
+        this.getLoop = getLoop;
+        this.settings = Metronome.defaultSettings();
+        
+        this.isPlaying = false;
+        this.timer = null;
+        this.scheduledUntil = 0; // Context time up to which clicks have been scheduled
+        this.freeStart = 0; // Grid origin while no loop is playing
+    }
+
+    static defaultSettings() {
+        return {
+            volume: 0.5,
+            subdivision: 1, // Clicks per beat: 1, 2 (8ths), 4 (16ths) or 3 (triplets)
+            kit: 'synth'
+        };
+    }
+
+    // 6/8, 9/8, 12/8: eighth-note beats felt in groups of three
+    static isCompound(beatsPerBar, beatUnit) {
+        return beatUnit === 8 && beatsPerBar > 3 && beatsPerBar % 3 === 0;
+    }
+
+    // Accented beats of a bar, taken from the time signature. Compound meters (6/8, 9/8, 12/8)
+    // pulse in dotted quarters, odd meters in twos and threes (5 = 3+2, 7 = 2+2+3).
+    static accentPattern(beatsPerBar, beatUnit) {
+        let groups = [beatsPerBar];
+        if (Metronome.isCompound(beatsPerBar, beatUnit)) {
+            groups = new Array(beatsPerBar / 3).fill(3);
+        } else if (Metronome.ODD_GROUPS[beatsPerBar]) {
+            groups = Metronome.ODD_GROUPS[beatsPerBar];
+        }
+        
+        const accents = new Array(beatsPerBar).fill(false);
+        let beat = 0;
+        groups.forEach(size => {
+            accents[beat] = true;
+            beat += size;
+        });
+        return accents;
+    }
+
+    // Clicks with from <= time < to on a grid anchored at loopStart. The grid restarts every
+    // loopLength seconds (Infinity = free-running). Each click has a level:
+    // 'bar' (downbeat), 'group' (accented beat), 'beat' or 'sub' (subdivision).
+    static clickTimes(tempo, subdivision, loopStart, loopLength, from, to) {
+        const tickLength = 60 / tempo.bpm / subdivision;
+        const ticksPerBar = tempo.beatsPerBar * subdivision;
+        const accents = Metronome.accentPattern(tempo.beatsPerBar, tempo.beatUnit);
+        const looping = isFinite(loopLength);
+        const ticksPerLoop = looping ? Math.ceil(loopLength / tickLength - 1e-6) : Infinity;
+        const clicks = [];
+        
+        // Start a pass early and filter on the exact click times, so consecutive windows
+        // never drop or repeat a click to rounding
+        let cycle = looping ? Math.floor((from - loopStart) / loopLength) - 1 : 0;
+        for (;; cycle++) {
+            const cycleStart = looping ? loopStart + cycle * loopLength : loopStart;
+            if (cycleStart >= to) break;
+            
+            for (let tick = Math.max(0, Math.ceil((from - cycleStart) / tickLength - 1e-6)); tick < ticksPerLoop; tick++) {
+                const time = cycleStart + tick * tickLength;
+                if (time >= to) break;
+                if (time < from) continue;
+                
+                const barTick = tick % ticksPerBar;
+                let level = 'sub';
+                if (barTick % subdivision === 0) {
+                    const beat = barTick / subdivision;
+                    level = beat === 0 ? 'bar' : (accents[beat] ? 'group' : 'beat');
+                }
+                clicks.push({ time, level });
+            }
+            
+            if (!looping) break;
+        }
+        
+        return clicks;
+    }
+
+    // Schedule one click of the chosen kit into any context (live or offline)
+    static playClick(ctx, destination, time, level, settings) {
+        const peak = 0.3 * settings.volume * Metronome.LEVEL_GAINS[level];
+        if (peak <= 0) return;
+        
+        const gain = ctx.createGain();
+        gain.connect(destination);
+        let source;
+        let decay;
+        
+        if (settings.kit === 'hihat') {
+            // Filtered noise burst; the downbeat rings a little longer, like a half-open hat
+            decay = level === 'bar' ? 0.08 : (level === 'sub' ? 0.025 : 0.04);
+            source = ctx.createBufferSource();
+            source.buffer = Metronome.getNoise(ctx);
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'highpass';
+            filter.frequency.value = level === 'bar' ? 6000 : 8000;
+            source.connect(filter);
+            filter.connect(gain);
+        } else {
+            source = ctx.createOscillator();
+            const pitch = Metronome.PITCHES[level];
+            if (settings.kit === 'woodblock') {
+                // Hollow knock: a triangle that drops onto its pitch and dies away fast
+                decay = 0.03;
+                source.type = 'triangle';
+                source.frequency.setValueAtTime(pitch * 1.2, time);
+                source.frequency.exponentialRampToValueAtTime(pitch * 0.8, time + 0.01);
+            } else {
+                decay = 0.05;
+                source.frequency.value = pitch;
+            }
+            source.connect(gain);
+        }
+        
+        gain.gain.setValueAtTime(peak, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+        source.start(time);
+        source.stop(time + decay);
+    }
+
+    // One shared buffer of white noise per context for the hi-hat
+    static getNoise(ctx) {
+        let noise = Metronome.noiseBuffers.get(ctx);
+        if (!noise) {
+            noise = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.1), ctx.sampleRate);
+            const data = noise.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+            Metronome.noiseBuffers.set(ctx, noise);
+        }
+        return noise;
+    }
+
+    // Render one loop of click, its grid starting `offset` seconds in, for printing into a stem
+    static async render(tempo, settings, duration, sampleRate, offset = 0) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const offline = new OfflineContext(2, Math.round(duration * sampleRate), sampleRate);
+        
+        Metronome.clickTimes(tempo, settings.subdivision, offset, duration, 0, duration).forEach(click => {
+            Metronome.playClick(offline, offline.destination, click.time, click.level, settings);
+        });
+        
+        return offline.startRendering();
+    }
+
+    start() {
+        if (this.isPlaying) return;
+        
+        this.isPlaying = true;
+        this.freeStart = this.audioContext.currentTime + 0.05;
+        this.scheduledUntil = this.audioContext.currentTime;
+        this.schedule();
+    }
+
+    schedule() {
+        if (!this.isPlaying) return;
+        
+        const ctx = this.audioContext;
+        const scheduleAheadTime = 0.1; // Schedule 100ms ahead
+        const from = Math.max(this.scheduledUntil, ctx.currentTime);
+        const to = ctx.currentTime + scheduleAheadTime;
+        
+        // Follow the loop while it plays and keep its grid running once it stops
+        const loop = this.getLoop();
+        if (loop) {
+            this.freeStart = loop.start;
+        }
+        
+        const clicks = Metronome.clickTimes(
+            this.getTempo(),
+            this.settings.subdivision,
+            loop ? loop.start : this.freeStart,
+            loop ? loop.length : Infinity,
+            from,
+            to
+        );
+        clicks.forEach(click => Metronome.playClick(ctx, ctx.destination, click.time, click.level, this.settings));
+        this.scheduledUntil = to;
+        
+        // Schedule next batch
+        this.timer = setTimeout(() => this.schedule(), 25);
+    }
+
+    stop() {
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+Metronome.SUBDIVISIONS = [
+    { value: 1, label: 'Beats' },
+    { value: 2, label: '8ths' },
+    { value: 4, label: '16ths' },
+    { value: 3, label: 'Triplets' }
+];
+
+Metronome.KITS = [
+    { id: 'synth', label: 'Synth' },
+    { id: 'woodblock', label: 'Woodblock' },
+    { id: 'hihat', label: 'Hi-hat' }
+];
+
+Metronome.LEVEL_GAINS = { bar: 1.0, group: 0.8, beat: 0.6, sub: 0.35 };
+Metronome.PITCHES = { bar: 1500, group: 1250, beat: 1000, sub: 800 };
+Metronome.ODD_GROUPS = { 5: [3, 2], 7: [2, 2, 3] };
+Metronome.noiseBuffers = new WeakMap();
+
+// Export for use in main app
+window.Metronome = Metronome;
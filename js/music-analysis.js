@@ -0,0 +1,645 @@
+// Music Analysis - tempo, beat, key and chord detection shared by the analysis worker
+// (importScripts) and AudioAnalyzer on the main thread (<script>), so both run the same code.
+// Every method works on a Float32Array of samples and its sample rate.
+class MusicAnalysis {
+    // The samples to analyse an AudioBuffer by: a new array with all its channels averaged, so
+    // panned layers count as much as centred ones
+    static mixToMono(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels || 1;
+        const mono = audioBuffer.getChannelData(0).slice();
+        if (channels === 1) return mono;
+        
+        for (let channel = 1; channel < channels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += data[i];
+            }
+        }
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] /= channels;
+        }
+        return mono;
+    }
+
+    // Tempo detection: tempogram of the spectral-flux onset envelope over minBPM-maxBPM.
+    // Returns { bpm, confidence, candidates } or null when there's no pulse to find.
+    static detectTempo(audioData, sampleRate, minBPM = 40, maxBPM = 240, onProgress = null) {
+        const hopSize = 512;
+        const { onset } = MusicAnalysis.onsetEnvelopes(audioData, sampleRate, hopSize, onProgress);
+        return MusicAnalysis.estimateTempo(onset, sampleRate / hopSize, minBPM, maxBPM);
+    }
+
+    // Beat tracking: spectral-flux onsets -> tempo from the tempogram -> dynamic programming
+    // for the beat times (Ellis 2007) -> downbeat phase from low-frequency onsets.
+    // options: { minBPM, maxBPM, bpm, onProgress, flux } - bpm forces the beat period (a chosen
+    // tempo candidate); flux is raw onset flux merged from chunks, used instead of the audio.
+    // The onsets take about the first 60% of the progress, the tempo the next 20%.
+    static trackBeats(audioData, sampleRate, beatsPerBar, options = {}) {
+        const hopSize = 512;
+        const frameRate = sampleRate / hopSize;
+        const onProgress = options.onProgress || (() => {});
+        
+        let envelopes = options.flux;
+        if (envelopes) {
+            MusicAnalysis.normalizeOnset(envelopes.onset);
+            MusicAnalysis.normalizeOnset(envelopes.lowOnset);
+        } else {
+            envelopes = MusicAnalysis.onsetEnvelopes(audioData, sampleRate, hopSize, (fraction) => onProgress(0.6 * fraction));
+        }
+        const { onset, lowOnset } = envelopes;
+        const frames = onset.length;
+        
+        const tempo = MusicAnalysis.estimateTempo(onset, frameRate, options.minBPM || 40, options.maxBPM || 240);
+        onProgress(0.8);
+        const bpm = options.bpm || (tempo ? tempo.bpm : null);
+        if (!bpm) {
+            return { bpm: null, beats: [], downbeats: [], confidence: 0, candidates: [] };
+        }
+        const period = 60 * frameRate / bpm;
+        
+        // Best chain of onsets spaced about one period apart
+        const tightness = 100;
+        const score = new Float64Array(frames);
+        const previous = new Int32Array(frames).fill(-1);
+        
+        for (let t = 0; t < frames; t++) {
+            let best = 0;
+            const from = Math.max(0, t - Math.round(2 * period));
+            const to = t - Math.round(period / 2);
+            
+            for (let p = from; p <= to; p++) {
+                const spacing = Math.log((t - p) / period);
+                const candidate = score[p] - tightness * spacing * spacing;
+                if (candidate > best) {
+                    best = candidate;
+                    previous[t] = p;
+                }
+            }
+            score[t] = onset[t] + best;
+        }
+        
+        // Backtrace from the best-scoring frame within the last beat
+        let last = Math.max(0, frames - Math.round(period));
+        for (let t = last; t < frames; t++) {
+            if (score[t] > score[last]) last = t;
+        }
+        
+        const beatFrames = [];
+        for (let t = last; t >= 0; t = previous[t]) {
+            beatFrames.unshift(t);
+        }
+        
+        // Flux frame f peaks when the onset sits in the middle of STFT frame f, one hop in
+        const beats = beatFrames.map(frame => (frame + 1) / frameRate);
+        const trackedBpm = beats.length > 1
+            ? 60 * (beats.length - 1) / (beats[beats.length - 1] - beats[0])
+            : bpm;
+        
+        // Downbeats: the bar phase where the bass hits hardest
+        let bestPhase = 0;
+        let bestStrength = -Infinity;
+        for (let phase = 0; phase < Math.min(beatsPerBar, beatFrames.length); phase++) {
+            let strength = 0;
+            let count = 0;
+            for (let i = phase; i < beatFrames.length; i += beatsPerBar) {
+                strength += lowOnset[beatFrames[i]] + 0.1 * onset[beatFrames[i]];
+                count++;
+            }
+            if (strength / count > bestStrength) {
+                bestStrength = strength / count;
+                bestPhase = phase;
+            }
+        }
+        const downbeats = beats.filter((time, i) => i % beatsPerBar === bestPhase % beatsPerBar);
+        
+        // Confidence: how much stronger the onsets on the beats are than the average frame
+        const mean = onset.reduce((sum, value) => sum + value, 0) / frames;
+        const onBeats = beatFrames.reduce((sum, frame) => sum + onset[frame], 0) / Math.max(1, beatFrames.length);
+        const confidence = mean > 0 ? Math.max(0, Math.min(1, (onBeats / mean - 1) / 3)) : 0;
+        
+        return {
+            bpm: Math.round(trackedBpm * 10) / 10,
+            beats,
+            downbeats,
+            confidence: Math.round(confidence * 100) / 100,
+            candidates: tempo ? tempo.candidates : []
+        };
+    }
+
+    // Spectral flux from a Hann-windowed STFT (frames of two hops): the summed rise in log
+    // magnitude per hop over all bins, and over the bins below ~150 Hz for the downbeats.
+    // Both have their local mean removed and are normalized to unit standard deviation, unless
+    // normalize is false (chunks of a long file are normalized once merged).
+    static onsetEnvelopes(audioData, sampleRate, hopSize, onProgress = null, normalize = true) {
+        const frameSize = hopSize * 2;
+        const frames = Math.max(0, Math.floor((audioData.length - frameSize) / hopSize) + 1);
+        const fft = FFT.get(frameSize);
+        const lowBins = Math.max(2, Math.round(150 * frameSize / sampleRate));
+        const onset = new Float32Array(frames);
+        const lowOnset = new Float32Array(frames);
+        let previous = null;
+        
+        for (let f = 0; f < frames; f++) {
+            if (onProgress) onProgress(f / frames);
+            
+            const spectrum = fft.magnitudes(audioData, f * hopSize);
+            for (let bin = 0; bin < spectrum.length; bin++) {
+                spectrum[bin] = Math.log1p(100 * spectrum[bin]);
+            }
+            
+            if (previous) {
+                let flux = 0;
+                let lowFlux = 0;
+                for (let bin = 1; bin < spectrum.length; bin++) {
+                    const rise = spectrum[bin] - previous[bin];
+                    if (rise > 0) {
+                        flux += rise;
+                        if (bin < lowBins) lowFlux += rise;
+                    }
+                }
+                onset[f] = flux;
+                lowOnset[f] = lowFlux;
+            }
+            previous = spectrum;
+        }
+        
+        if (normalize) {
+            MusicAnalysis.normalizeOnset(onset);
+            MusicAnalysis.normalizeOnset(lowOnset);
+        }
+        return { onset, lowOnset };
+    }
+
+    // Subtract a moving average (~0.2 s), half-wave rectify and scale to unit standard deviation
+    static normalizeOnset(envelope) {
+        const radius = 8;
+        const local = new Float32Array(envelope.length);
+        for (let i = 0; i < envelope.length; i++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(envelope.length - 1, i + radius); j++) {
+                sum += envelope[j];
+                count++;
+            }
+            local[i] = sum / count;
+        }
+        
+        let sumSquares = 0;
+        for (let i = 0; i < envelope.length; i++) {
+            envelope[i] = Math.max(0, envelope[i] - local[i]);
+            sumSquares += envelope[i] * envelope[i];
+        }
+        
+        const deviation = Math.sqrt(sumSquares / Math.max(1, envelope.length));
+        if (deviation > 0) {
+            for (let i = 0; i < envelope.length; i++) envelope[i] /= deviation;
+        }
+    }
+
+    // Tempogram: onset autocorrelation at every lag from maxBPM down to minBPM. The strongest
+    // peak under a broad prior around 120 BPM wins; the peaks at half and double its tempo are
+    // kept as alternatives. Confidences are each candidate's share of their combined strength.
+    static estimateTempo(onset, frameRate, minBPM, maxBPM) {
+        const frames = onset.length;
+        const minLag = Math.max(2, Math.floor(60 * frameRate / maxBPM));
+        const maxLag = Math.min(Math.ceil(60 * frameRate / minBPM), Math.floor(frames / 2));
+        if (maxLag <= minLag + 1 || !onset.some(value => value > 0)) return null;
+        
+        const correlation = new Float64Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < frames; i++) {
+                sum += onset[i] * onset[i + lag];
+            }
+            correlation[lag] = sum / (frames - lag);
+        }
+        
+        const lagToBpm = (lag) => 60 * frameRate / lag;
+        const prior = (lag) => {
+            const octaves = Math.log2(lagToBpm(lag) / 120);
+            return Math.exp(-0.5 * octaves * octaves);
+        };
+        const isPeak = (lag) => correlation[lag] > 0 &&
+            correlation[lag] >= correlation[lag - 1] && correlation[lag] >= correlation[lag + 1];
+        
+        let bestLag = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (isPeak(lag) && (!bestLag || correlation[lag] * prior(lag) > correlation[bestLag] * prior(bestLag))) {
+                bestLag = lag;
+            }
+        }
+        if (!bestLag) return null;
+        
+        // Strongest peak within 5% of a target lag, for the half/double-time alternatives
+        const peakNear = (target) => {
+            let found = 0;
+            for (let lag = Math.max(minLag, Math.floor(target * 0.95)); lag <= Math.min(maxLag, Math.ceil(target * 1.05)); lag++) {
+                if (isPeak(lag) && (!found || correlation[lag] > correlation[found])) found = lag;
+            }
+            return found;
+        };
+        
+        // Parabolic interpolation between neighbouring lags for a fractional period
+        const refine = (lag) => {
+            const a = correlation[lag - 1];
+            const b = correlation[lag];
+            const c = correlation[lag + 1];
+            const curvature = a - 2 * b + c;
+            const shift = curvature < 0 ? 0.5 * (a - c) / curvature : 0;
+            return lag + Math.max(-0.5, Math.min(0.5, shift));
+        };
+        
+        const candidates = [
+            { multiple: 0.5, lag: peakNear(bestLag * 2) },
+            { multiple: 1, lag: bestLag },
+            { multiple: 2, lag: peakNear(bestLag / 2) }
+        ].filter(candidate => candidate.lag);
+        
+        const strengths = candidates.map(candidate => correlation[candidate.lag] * prior(candidate.lag));
+        const total = strengths.reduce((sum, strength) => sum + strength, 0);
+        const result = candidates.map((candidate, i) => ({
+            bpm: Math.round(lagToBpm(refine(candidate.lag)) * 10) / 10,
+            multiple: candidate.multiple,
+            confidence: Math.round(strengths[i] / total * 100) / 100
+        }));
+        
+        const detected = result.find(candidate => candidate.multiple === 1);
+        return { bpm: detected.bpm, confidence: detected.confidence, candidates: result };
+    }
+
+    // Key detection: the chromagram of the whole file correlated against the Krumhansl-Kessler
+    // and Temperley key profiles (averaged) for every tonic in major, minor and the common modes.
+    // Returns { key, confidence, candidates } - the top three keys with their correlation scores,
+    // those sharing the best key's notes (its relative major/minor) marked relative - or null.
+    // A chromagram summed from chunks can be passed instead of the audio.
+    static detectKey(audioData, sampleRate, onProgress = null, chromagram = null) {
+        chromagram = chromagram || MusicAnalysis.calculateChromagram(audioData, sampleRate, onProgress);
+        if (!chromagram.some(value => value > 0)) return null;
+        
+        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const modes = MusicAnalysis.keyProfiles();
+        const keys = [];
+        
+        for (let tonic = 0; tonic < 12; tonic++) {
+            // The chromagram seen from this tonic, so profiles index scale degrees
+            const rotated = Array.from({ length: 12 }, (_, i) => chromagram[(i + tonic) % 12]);
+            
+            Object.entries(modes).forEach(([mode, { profiles, scale, weight }]) => {
+                const correlation = profiles.reduce((sum, profile) => sum + MusicAnalysis.pearson(rotated, profile), 0) / profiles.length;
+                keys.push({
+                    key: `${notes[tonic]} ${mode}`,
+                    score: correlation * weight,
+                    pitches: scale.map(degree => (tonic + degree) % 12).sort((a, b) => a - b).join()
+                });
+            });
+        }
+        keys.sort((a, b) => b.score - a.score);
+        
+        // Confidence: how well the best key fits, scaled down as the runner-up closes in
+        const [best, second] = keys;
+        const fit = Math.max(0, Math.min(1, best.score));
+        const margin = Math.max(0, Math.min(1, (best.score - second.score) / 0.1));
+        
+        return {
+            key: best.key,
+            confidence: Math.round(fit * margin * 100) / 100,
+            candidates: keys.slice(0, 3).map(candidate => ({
+                key: candidate.key,
+                score: Math.round(candidate.score * 1000) / 1000,
+                relative: candidate !== best && candidate.pitches === best.pitches
+            }))
+        };
+    }
+
+    // Key profiles per mode: Krumhansl-Kessler (probe-tone ratings) and Temperley (corpus
+    // frequencies) for major and minor. A mode takes the parallel major or minor profiles with
+    // its characteristic degree swapped in (Dorian's major 6th, Mixolydian's flat 7th, ...) and
+    // a slightly lower weight, so a plain major or minor wins a tie.
+    static keyProfiles() {
+        const major = [
+            [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+            [0.748, 0.060, 0.488, 0.082, 0.670, 0.460, 0.096, 0.715, 0.104, 0.366, 0.057, 0.400]
+        ];
+        const minor = [
+            [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+            [0.712, 0.084, 0.474, 0.618, 0.049, 0.460, 0.105, 0.747, 0.404, 0.067, 0.133, 0.330]
+        ];
+        
+        // Swap the weights of two scale degrees in each profile
+        const swap = (profiles, a, b) => profiles.map(profile => {
+            const swapped = profile.slice();
+            swapped[a] = profile[b];
+            swapped[b] = profile[a];
+            return swapped;
+        });
+        
+        return {
+            'Major': { profiles: major, scale: [0, 2, 4, 5, 7, 9, 11], weight: 1 },
+            'Minor': { profiles: minor, scale: [0, 2, 3, 5, 7, 8, 10], weight: 1 },
+            'Dorian': { profiles: swap(minor, 8, 9), scale: [0, 2, 3, 5, 7, 9, 10], weight: 0.95 },
+            'Phrygian': { profiles: swap(minor, 1, 2), scale: [0, 1, 3, 5, 7, 8, 10], weight: 0.95 },
+            'Lydian': { profiles: swap(major, 5, 6), scale: [0, 2, 4, 6, 7, 9, 11], weight: 0.95 },
+            'Mixolydian': { profiles: swap(major, 10, 11), scale: [0, 2, 4, 5, 7, 9, 10], weight: 0.95 }
+        };
+    }
+
+    // Pearson correlation of two equal-length arrays
+    static pearson(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) * (a[i] - meanA);
+            varianceB += (b[i] - meanB) * (b[i] - meanB);
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    // Chord recognition: treble chroma per beat (or per frame without beats) scored against
+    // chord templates, smoothed with a Viterbi pass so labels don't flicker, then a bass note
+    // that isn't the root turns a chord into a slash chord (C/E).
+    // Returns [{ time, timeInSeconds, chord, confidence }] - 'N.C.' where nothing is playing.
+    // chroma: { frames, duration } merged from chunks, used instead of the audio.
+    static detectChords(audioData, sampleRate, beats = null, onProgress = null, chroma = null) {
+        const duration = chroma ? chroma.duration : audioData.length / sampleRate;
+        const frames = chroma ? chroma.frames : MusicAnalysis.chromaFrames(audioData, sampleRate, onProgress);
+        const segments = MusicAnalysis.chordSegments(frames, duration, beats);
+        const templates = MusicAnalysis.chordTemplates();
+        const noChord = templates.length;
+        
+        // Emissions: cosine similarity to every template. 'N.C.' scores by how flat the chroma is,
+        // so noise and drums go to it rather than to the nearest chord, and it takes over near silence
+        const loudest = Math.max(...segments.map(segment => segment.energy));
+        const sharpness = 20;
+        const emissions = segments.map(segment => {
+            const norm = Math.sqrt(segment.treble.reduce((sum, value) => sum + value * value, 0));
+            const similarities = new Float64Array(noChord + 1);
+            if (norm === 0 || segment.energy < 0.01 * loudest) {
+                similarities[noChord] = 1;
+            } else {
+                templates.forEach((template, i) => {
+                    let dot = 0;
+                    for (let pc = 0; pc < 12; pc++) dot += template.profile[pc] * segment.treble[pc];
+                    similarities[i] = dot / norm;
+                });
+                const sum = segment.treble.reduce((total, value) => total + value, 0);
+                similarities[noChord] = 0.9 * sum / (Math.sqrt(12) * norm);
+            }
+            
+            // Softmax over the states, kept for the per-label confidence
+            const logits = similarities.map(value => sharpness * value);
+            const max = Math.max(...logits);
+            const total = logits.reduce((sum, value) => sum + Math.exp(value - max), 0);
+            return logits.map(value => value - max - Math.log(total));
+        });
+        
+        // Viterbi: staying on a chord is likely (about two seconds per chord on average), any
+        // change is equally likely
+        const states = noChord + 1;
+        const segmentLength = duration / Math.max(1, segments.length);
+        const stay = Math.min(0.98, Math.max(0.8, 1 - segmentLength / 2));
+        const logStay = Math.log(stay);
+        const logSwitch = Math.log((1 - stay) / (states - 1));
+        
+        let scores = emissions[0].slice();
+        const backPointers = [];
+        for (let t = 1; t < segments.length; t++) {
+            let best = 0;
+            for (let s = 1; s < states; s++) {
+                if (scores[s] > scores[best]) best = s;
+            }
+            
+            const pointers = new Int16Array(states);
+            const next = new Float64Array(states);
+            for (let s = 0; s < states; s++) {
+                const fromSame = scores[s] + logStay;
+                const fromBest = scores[best] + logSwitch;
+                pointers[s] = fromSame >= fromBest ? s : best;
+                next[s] = Math.max(fromSame, fromBest) + emissions[t][s];
+            }
+            backPointers.push(pointers);
+            scores = next;
+        }
+        
+        const path = new Array(segments.length);
+        path[segments.length - 1] = scores.indexOf(Math.max(...scores));
+        for (let t = segments.length - 1; t > 0; t--) {
+            path[t - 1] = backPointers[t - 1][path[t]];
+        }
+        
+        // Runs of one state become labels, with their mean probability as confidence
+        const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const chords = [];
+        let start = 0;
+        for (let t = 1; t <= segments.length; t++) {
+            if (t < segments.length && path[t] === path[start]) continue;
+            
+            const state = path[start];
+            const run = segments.slice(start, t);
+            const confidence = emissions.slice(start, t)
+                .reduce((sum, emission) => sum + Math.exp(emission[state]), 0) / run.length;
+            
+            let chord = 'N.C.';
+            if (state !== noChord) {
+                const template = templates[state];
+                chord = notes[template.root] + template.quality;
+                
+                // Slash chord when the bass clearly sits on another chord tone, or is very
+                // dominant on a note outside the chord
+                const bass = new Float64Array(12);
+                let trebleEnergy = 0;
+                run.forEach(segment => {
+                    for (let pc = 0; pc < 12; pc++) bass[pc] += segment.bass[pc];
+                    trebleEnergy += segment.energy;
+                });
+                const bassEnergy = bass.reduce((sum, value) => sum + value, 0);
+                const bassNote = bass.indexOf(Math.max(...bass));
+                const share = bassEnergy > 0 ? bass[bassNote] / bassEnergy : 0;
+                const interval = (bassNote - template.root + 12) % 12;
+                if (bassNote !== template.root && bassEnergy > 0.05 * trebleEnergy &&
+                    ((template.intervals.includes(interval) && share >= 0.3) || share >= 0.5)) {
+                    chord += `/${notes[bassNote]}`;
+                }
+            }
+            
+            const timeInSeconds = run[0].start;
+            chords.push({
+                time: `${timeInSeconds.toFixed(1)}s`,
+                timeInSeconds: timeInSeconds,
+                chord: chord,
+                confidence: Math.round(confidence * 100) / 100
+            });
+            start = t;
+        }
+        
+        return chords;
+    }
+
+    // Treble (130 Hz - 5 kHz) chroma and the bass note (40 - 250 Hz) of Hann-windowed 16384-point
+    // frames every 4096 samples - long frames so that low notes a semitone apart land in different bins
+    static chromaFrames(audioData, sampleRate, onProgress = null) {
+        const fftSize = 16384;
+        const hopSize = 4096;
+        const fft = FFT.get(fftSize);
+        
+        // MIDI note and pitch class of every bin, A4 = 440Hz = MIDI 69
+        const notes = new Int16Array(fftSize / 2);
+        const pitchClasses = new Int8Array(fftSize / 2);
+        for (let bin = 1; bin < pitchClasses.length; bin++) {
+            notes[bin] = Math.round(12 * Math.log2(bin * sampleRate / fftSize / 440) + 69);
+            pitchClasses[bin] = notes[bin] % 12;
+        }
+        const binOf = (freq) => Math.min(fftSize / 2 - 1, Math.round(freq * fftSize / sampleRate));
+        const treble = [binOf(130), binOf(5000)];
+        const bass = [Math.max(1, binOf(40)), binOf(250)];
+        
+        const frames = [];
+        for (let offset = 0; offset === 0 || offset + fftSize <= audioData.length; offset += hopSize) {
+            if (onProgress) onProgress(offset / audioData.length);
+            
+            const spectrum = fft.magnitudes(audioData, offset);
+            const frame = {
+                time: (offset + fftSize / 2) / sampleRate,
+                treble: new Float64Array(12),
+                bass: new Float64Array(12)
+            };
+            for (let bin = treble[0]; bin <= treble[1]; bin++) {
+                frame.treble[pitchClasses[bin]] += spectrum[bin];
+            }
+            
+            // Bass: the lowest note that sounds clearly (its peak within half of the strongest
+            // note's) takes the band's energy. Notes are compared by their peak bin - a semitone
+            // spans more bins the higher it is, so summing them would favour the third of a low
+            // chord over its root - and the lowest one wins, as the ear hears it.
+            const peaks = [];
+            let peak = 0;
+            for (let bin = bass[0]; bin <= bass[1]; bin++) {
+                peak = Math.max(peak, spectrum[bin]);
+                if (bin === bass[1] || notes[bin + 1] !== notes[bin]) {
+                    peaks.push({ pitchClass: pitchClasses[bin], peak });
+                    peak = 0;
+                }
+            }
+            const strongest = Math.max(...peaks.map(note => note.peak));
+            const lowest = peaks.find(note => note.peak >= 0.5 * strongest);
+            frame.bass[lowest.pitchClass] = peaks.reduce((sum, note) => sum + note.peak, 0);
+            frames.push(frame);
+        }
+        return frames;
+    }
+
+    // Sum the chroma frames between beats (or take each frame on its own without beats).
+    // Each segment gets its start time and its treble energy.
+    static chordSegments(frames, duration, beats) {
+        let segments;
+        if (beats && beats.length > 1) {
+            const bounds = [0, ...beats.filter(time => time > 0 && time < duration), duration];
+            segments = bounds.slice(0, -1).map((start, i) => {
+                const end = bounds[i + 1];
+                let members = frames.filter(frame => frame.time >= start && frame.time < end);
+                if (members.length === 0) {
+                    // A beat shorter than the hop: borrow the frame nearest its middle
+                    const middle = (start + end) / 2;
+                    members = [frames.reduce((a, b) => Math.abs(b.time - middle) < Math.abs(a.time - middle) ? b : a)];
+                }
+                const segment = { start, treble: new Float64Array(12), bass: new Float64Array(12) };
+                members.forEach(frame => {
+                    for (let pc = 0; pc < 12; pc++) {
+                        segment.treble[pc] += frame.treble[pc] / members.length;
+                        segment.bass[pc] += frame.bass[pc] / members.length;
+                    }
+                });
+                return segment;
+            });
+        } else {
+            const hop = frames.length > 1 ? frames[1].time - frames[0].time : duration;
+            segments = frames.map((frame, i) => ({
+                start: i === 0 ? 0 : Math.max(0, frame.time - hop / 2),
+                treble: frame.treble,
+                bass: frame.bass
+            }));
+        }
+        
+        segments.forEach(segment => {
+            segment.energy = segment.treble.reduce((sum, value) => sum + value, 0);
+        });
+        return segments;
+    }
+
+    // Every root with every chord quality as a unit-length chroma profile. Each chord tone also
+    // adds its first six harmonics (decaying by 0.6 each), so a real C chord's overtone on B
+    // doesn't read as Cmaj7.
+    static chordTemplates() {
+        const qualities = {
+            '': [0, 4, 7],
+            'm': [0, 3, 7],
+            '7': [0, 4, 7, 10],
+            'maj7': [0, 4, 7, 11],
+            'm7': [0, 3, 7, 10],
+            'dim': [0, 3, 6],
+            'aug': [0, 4, 8],
+            'sus2': [0, 2, 7],
+            'sus4': [0, 5, 7]
+        };
+        const harmonics = [0, 0, 7, 0, 4, 7]; // Pitch class of harmonics 1-6 above the note
+        
+        const templates = [];
+        for (let root = 0; root < 12; root++) {
+            Object.entries(qualities).forEach(([quality, intervals]) => {
+                const profile = new Float64Array(12);
+                intervals.forEach(interval => {
+                    harmonics.forEach((offset, h) => {
+                        profile[(root + interval + offset) % 12] += Math.pow(0.6, h);
+                    });
+                });
+                
+                const norm = Math.sqrt(profile.reduce((sum, value) => sum + value * value, 0));
+                templates.push({ root, quality, intervals, profile: profile.map(value => value / norm) });
+            });
+        }
+        return templates;
+    }
+
+    // Chromagram (pitch class profile) of the whole signal - Hann-windowed 4096-point
+    // frames with 50% overlap, each bin from 80 Hz to 2 kHz adding its magnitude to its pitch class.
+    // Scaled to a maximum of 1 unless normalize is false (chunk sums get merged first).
+    static calculateChromagram(audioData, sampleRate, onProgress = null, normalize = true) {
+        const fftSize = 4096;
+        const hopSize = fftSize / 2;
+        const fft = FFT.get(fftSize);
+        const chromagram = new Array(12).fill(0);
+        
+        // Pitch class of every bin (-1 outside the musical range), A4 = 440Hz = MIDI 69
+        const pitchClasses = new Int8Array(fftSize / 2).fill(-1);
+        for (let bin = 1; bin < pitchClasses.length; bin++) {
+            const freq = bin * sampleRate / fftSize;
+            if (freq >= 80 && freq <= 2000) {
+                pitchClasses[bin] = Math.round(12 * Math.log2(freq / 440) + 69) % 12;
+            }
+        }
+        
+        // A signal shorter than one frame is analyzed zero-padded
+        for (let offset = 0; offset === 0 || offset + fftSize <= audioData.length; offset += hopSize) {
+            if (onProgress) onProgress(offset / audioData.length);
+            
+            const spectrum = fft.magnitudes(audioData, offset);
+            for (let bin = 1; bin < pitchClasses.length; bin++) {
+                if (pitchClasses[bin] >= 0) {
+                    chromagram[pitchClasses[bin]] += spectrum[bin];
+                }
+            }
+        }
+        
+        if (!normalize) return chromagram;
+        
+        const max = Math.max(...chromagram);
+        return max > 0 ? chromagram.map(x => x / max) : chromagram;
+    }
+}
+
+// Export for the app and for the worker (importScripts), where there is no window
+self.MusicAnalysis = MusicAnalysis;
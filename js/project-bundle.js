@@ -0,0 +1,256 @@
+// Project Bundle Module - packs a session into a portable .loopcraft file
+// A bundle is a plain zip: manifest.json (mix state, tempo, key, chords) plus one WAV per
+// layer under layers/. Written uncompressed; deflated entries are read where the browser
+// can inflate them, so bundles re-zipped by other tools still open.
+class ProjectBundle {
+    // manifestState: session state (see AudioLooperApp.getSessionState) plus a name
+    // layerBlobs: one WAV Blob per layer, in layer order
+    static async pack(manifestState, layerBlobs) {
+        const layerFiles = layerBlobs.map((_, index) => `layers/layer-${index}.wav`);
+        const manifest = {
+            format: ProjectBundle.FORMAT,
+            version: ProjectBundle.VERSION,
+            exportedAt: new Date().toISOString(),
+            ...manifestState,
+            layers: layerFiles
+        };
+        
+        const encoder = new TextEncoder();
+        const files = [{ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest, null, 2)) }];
+        
+        for (let i = 0; i < layerBlobs.length; i++) {
+            files.push({ name: layerFiles[i], data: new Uint8Array(await layerBlobs[i].arrayBuffer()) });
+        }
+        
+        return ProjectBundle.createZip(files);
+    }
+
+    // Resolves with { manifest, layerBlobs } or throws an Error describing what is wrong
+    static async unpack(blob) {
+        const entries = await ProjectBundle.readZip(await blob.arrayBuffer());
+        
+        const manifestData = entries.get('manifest.json');
+        if (!manifestData) {
+            throw new Error('Not a LoopCraft bundle (manifest.json is missing)');
+        }
+        
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder().decode(manifestData));
+        } catch (error) {
+            throw new Error('Bundle manifest is not valid JSON');
+        }
+        
+        ProjectBundle.validateManifest(manifest);
+        
+        const layerBlobs = manifest.layers.map(name => {
+            const data = entries.get(name);
+            if (!data) {
+                throw new Error(`Bundle is incomplete: ${name} is missing`);
+            }
+            return new Blob([data], { type: 'audio/wav' });
+        });
+        
+        return { manifest, layerBlobs };
+    }
+
+    static validateManifest(manifest) {
+        if (!manifest || manifest.format !== ProjectBundle.FORMAT) {
+            throw new Error('Not a LoopCraft bundle (unknown manifest format)');
+        }
+        
+        if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+            throw new Error('Bundle manifest has no valid version');
+        }
+        
+        if (manifest.version > ProjectBundle.VERSION) {
+            throw new Error(
+                `Bundle was made by a newer LoopCraft (format v${manifest.version}). ` +
+                `This version can open bundles up to v${ProjectBundle.VERSION}.`
+            );
+        }
+        
+        if (!Array.isArray(manifest.layers) || manifest.layers.length === 0) {
+            throw new Error('Bundle contains no layers');
+        }
+        
+        // Per-layer state must line up with the layer files
+        const perLayer = ['layerVolumes', 'layerMuted', 'layerOffsets', 'layerPans', 'layerSoloed', 'layerEffects'];
+        perLayer.forEach(key => {
+            if (manifest[key] !== undefined &&
+                (!Array.isArray(manifest[key]) || manifest[key].length !== manifest.layers.length)) {
+                throw new Error(`Bundle manifest is corrupt: ${key} does not match the ${manifest.layers.length} layers`);
+            }
+        });
+    }
+
+    // files: [{ name, data: Uint8Array }] -> Blob (zip, stored entries)
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        const { time, date } = ProjectBundle.dosDateTime(new Date());
+        
+        files.forEach(({ name, data }) => {
+            const nameBytes = encoder.encode(name);
+            const crc = ProjectBundle.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+            local.setUint16(8, 0, true); // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size
+            local.setUint32(22, data.length, true); // Uncompressed size
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true); // Extra field length
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true); // Local header offset (other fields stay 0)
+            
+            parts.push(local, nameBytes, data);
+            centralParts.push(central, nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true); // Entries on this disk
+        end.setUint16(10, files.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true); // Central directory offset
+        
+        return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    // ArrayBuffer (zip) -> Map of entry name -> Uint8Array, verifying every CRC
+    static async readZip(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const bytes = new Uint8Array(arrayBuffer);
+        const decoder = new TextDecoder();
+        
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        
+        if (endOffset < 0) {
+            throw new Error('File is not a zip archive or is truncated');
+        }
+        
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const entries = new Map();
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (pointer + 46 > bytes.length || view.getUint32(pointer, true) !== 0x02014b50) {
+                throw new Error('Bundle is corrupt (bad central directory)');
+            }
+            
+            const method = view.getUint16(pointer + 10, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+            
+            if (name.endsWith('/')) continue; // Directory entry
+            
+            if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== 0x04034b50) {
+                throw new Error(`Bundle is corrupt (bad header for ${name})`);
+            }
+            
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            if (dataStart + compressedSize > bytes.length) {
+                throw new Error(`Bundle is truncated (${name} is incomplete)`);
+            }
+            
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+            const data = await ProjectBundle.inflateEntry(name, method, compressed);
+            
+            if (ProjectBundle.crc32(data) !== crc) {
+                throw new Error(`Bundle is corrupt (checksum mismatch in ${name})`);
+            }
+            
+            entries.set(name, data);
+        }
+        
+        return entries;
+    }
+
+    static async inflateEntry(name, method, data) {
+        if (method === 0) return data;
+        
+        if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        
+        throw new Error(`Cannot read ${name}: unsupported zip compression (method ${method})`);
+    }
+
+    static crc32(data) {
+        if (!ProjectBundle.crcTable) {
+            ProjectBundle.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ProjectBundle.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ProjectBundle.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static fileName(name) {
+        const safe = (name || 'loop').replace(/[\\/:*?"<>|]+/g, '').trim() || 'loop';
+        return `${safe}${ProjectBundle.EXTENSION}`;
+    }
+}
+
+ProjectBundle.FORMAT = 'loopcraft';
+ProjectBundle.VERSION = 1;
+ProjectBundle.EXTENSION = '.loopcraft';
+ProjectBundle.crcTable = null;
+
+// Export for use in main app
+window.ProjectBundle = ProjectBundle;
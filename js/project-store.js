@@ -0,0 +1,140 @@
+// Project Store Module - persists named looper projects in IndexedDB
+// Metadata and mix state live in the "projects" store (cheap to list); raw layer PCM
+// lives in the "audio" store under the same id so the browser list stays fast.
+class ProjectStore {
+    constructor(dbName = 'loopcraft') {
+        this.dbName = dbName;
+        this.version = 1;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('audio')) {
+                    db.createObjectStore('audio', { keyPath: 'id' });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run `work(stores)` in a transaction and resolve once it has committed
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            
+            let result;
+            Promise.resolve(work(stores)).then(value => {
+                result = value;
+            }, reject);
+            
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Project metadata, newest first
+    async list() {
+        const projects = await this.transaction(['projects'], 'readonly',
+            ({ projects }) => ProjectStore.request(projects.getAll())
+        );
+        return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Resolves with { project, audio } or null if the id is unknown
+    async load(id) {
+        return this.transaction(['projects', 'audio'], 'readonly', async ({ projects, audio }) => {
+            const [project, audioRecord] = await Promise.all([
+                ProjectStore.request(projects.get(id)),
+                ProjectStore.request(audio.get(id))
+            ]);
+            return project && audioRecord ? { project, audio: audioRecord } : null;
+        });
+    }
+
+    // project: metadata + session state, audio: { sampleRate, layers: [[Float32Array per channel]] }
+    async save(project, audio) {
+        const now = Date.now();
+        const record = {
+            ...project,
+            id: project.id || ProjectStore.createId(),
+            createdAt: project.createdAt || now,
+            updatedAt: now
+        };
+        
+        await this.transaction(['projects', 'audio'], 'readwrite', ({ projects, audio: audioStore }) => {
+            projects.put(record);
+            audioStore.put({ ...audio, id: record.id });
+        });
+        
+        return record;
+    }
+
+    async rename(id, name) {
+        return this.transaction(['projects'], 'readwrite', async ({ projects }) => {
+            const project = await ProjectStore.request(projects.get(id));
+            if (!project) throw new Error('Project not found');
+            
+            project.name = name;
+            project.updatedAt = Date.now();
+            projects.put(project);
+            return project;
+        });
+    }
+
+    async duplicate(id, name) {
+        const existing = await this.load(id);
+        if (!existing) throw new Error('Project not found');
+        
+        const { id: oldId, createdAt, updatedAt, ...project } = existing.project;
+        return this.save({ ...project, name }, existing.audio);
+    }
+
+    async delete(id) {
+        await this.transaction(['projects', 'audio'], 'readwrite', ({ projects, audio }) => {
+            projects.delete(id);
+            audio.delete(id);
+        });
+    }
+}
+
+// Export for use in main app
+window.ProjectStore = ProjectStore;
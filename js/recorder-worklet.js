@@ -0,0 +1,120 @@
+// Recorder Worklet - captures raw Float32 PCM on the audio thread
+// Capture begins on an exact context frame and ends after an exact number of frames,
+// so takes line up with the loop to the sample. Loaded by AudioRecorder.loadWorklet.
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.state = 'idle'; // idle -> waiting -> recording -> done
+        this.startFrame = 0;
+        this.length = null; // Frames to capture, null = until told to stop
+        this.written = 0;
+        this.channelCount = 1;
+        this.blockSize = sampleRate; // Audio is collected in one-second blocks
+        this.blocks = [];
+        this.current = null;
+        this.blockOffset = 0;
+        
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'start') {
+            this.startFrame = message.startFrame !== null ? message.startFrame : currentFrame;
+            this.length = message.length;
+            this.state = 'waiting';
+        } else if (message.type === 'stop' && this.state !== 'done') {
+            this.finish();
+        }
+    }
+
+    process(inputs) {
+        if (this.state === 'done') return false;
+        if (this.state === 'idle') return true;
+        
+        const input = inputs[0];
+        const quantum = input.length > 0 ? input[0].length : 128;
+        if (currentFrame + quantum <= this.startFrame) return true;
+        
+        let from = Math.max(0, this.startFrame - currentFrame);
+        
+        if (this.state === 'waiting') {
+            this.state = 'recording';
+            this.channelCount = Math.max(1, input.length);
+            this.port.postMessage({ type: 'started', frame: this.startFrame });
+            
+            // Started late: keep the take aligned by filling the frames we missed with silence
+            const missed = currentFrame - this.startFrame;
+            if (missed > 0) {
+                this.write(null, 0, this.remaining(missed));
+            }
+        }
+        
+        this.write(input, from, this.remaining(quantum - from));
+        
+        if (this.length !== null && this.written >= this.length) {
+            this.finish();
+        }
+        
+        return this.state !== 'done';
+    }
+
+    remaining(count) {
+        return this.length === null ? count : Math.max(0, Math.min(count, this.length - this.written));
+    }
+
+    // Append `count` frames from the input starting at `from` (input null = silence)
+    write(input, from, count) {
+        while (count > 0) {
+            if (!this.current) {
+                this.current = [];
+                for (let ch = 0; ch < this.channelCount; ch++) {
+                    this.current.push(new Float32Array(this.blockSize));
+                }
+                this.blockOffset = 0;
+            }
+            
+            const frames = Math.min(count, this.blockSize - this.blockOffset);
+            
+            if (input && input.length > 0) {
+                for (let ch = 0; ch < this.channelCount; ch++) {
+                    // A mono source feeding a stereo take fills both channels
+                    const data = input[ch] || input[0];
+                    this.current[ch].set(data.subarray(from, from + frames), this.blockOffset);
+                }
+            }
+            
+            this.blockOffset += frames;
+            this.written += frames;
+            from += frames;
+            count -= frames;
+            
+            if (this.blockOffset === this.blockSize) {
+                this.blocks.push(this.current);
+                this.current = null;
+            }
+        }
+    }
+
+    finish() {
+        if (this.current) {
+            this.blocks.push(this.current);
+            this.current = null;
+        }
+        
+        this.state = 'done';
+        
+        const transfer = [];
+        this.blocks.forEach(block => block.forEach(channel => transfer.push(channel.buffer)));
+        
+        this.port.postMessage({
+            type: 'done',
+            blocks: this.blocks,
+            length: this.written,
+            channelCount: this.channelCount
+        }, transfer);
+        
+        this.blocks = [];
+    }
+}
+
+registerProcessor('loopcraft-recorder', RecorderProcessor);